@@ -0,0 +1,143 @@
+/**
+ * Registered Accounts
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Stores registered usernames with salted scrypt password hashes in a JSON
+ * file. Registered names are reserved: only someone who logs in with the
+ * password may chat under them. Guests can still use any other free name.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt output length in bytes
+const KEY_LENGTH = 64;
+
+// Minimum password length for new accounts
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hashes a password with a fresh random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<{ salt: string, hash: string }>} - Hex-encoded salt and hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return { salt: salt, hash: hash.toString("hex") };
+}
+
+/**
+ * Checks a password against a stored salt and hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} salt - Stored salt (hex)
+ * @param {string} hash - Stored hash (hex)
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+async function verifyPassword(password, salt, hash) {
+  const candidate = await scrypt(password, salt, KEY_LENGTH);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, "hex"));
+}
+
+/**
+ * File-backed account store
+ * Accounts are keyed by lowercase username so reservations are case-insensitive
+ */
+class AccountStore {
+  /**
+   * @param {string} filePath - Path of the accounts JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.accounts = new Map();
+
+    if (fs.existsSync(filePath)) {
+      const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      Object.entries(saved).forEach(([key, account]) => this.accounts.set(key, account));
+    }
+  }
+
+  /**
+   * Writes all accounts back to disk
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.accounts), null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Checks whether a username belongs to a registered account
+   * @param {string} username - Username to check
+   * @returns {boolean} - True if registered
+   */
+  isRegistered(username) {
+    return this.accounts.has(username.toLowerCase());
+  }
+
+  /**
+   * Number of registered accounts
+   * @returns {number} - Account count
+   */
+  get size() {
+    return this.accounts.size;
+  }
+
+  /**
+   * Registers a new account
+   * @param {string} username - Desired username
+   * @param {string} password - Plain-text password
+   * @returns {Promise<string>} - The registered username
+   * @throws {Error} - If the name is taken or the password is too short
+   */
+  async register(username, password) {
+    if (this.isRegistered(username)) {
+      throw new Error("That username is already registered.");
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+
+    const { salt, hash } = await hashPassword(password);
+
+    // Re-check after the slow hash in case of a concurrent registration
+    if (this.isRegistered(username)) {
+      throw new Error("That username is already registered.");
+    }
+
+    this.accounts.set(username.toLowerCase(), {
+      username: username,
+      salt: salt,
+      hash: hash,
+      createdAt: new Date().toISOString(),
+    });
+    this.save();
+
+    return username;
+  }
+
+  /**
+   * Checks a username and password
+   * @param {string} username - Username
+   * @param {string} password - Plain-text password
+   * @returns {Promise<string|null>} - The account's canonical username, or null if the login is wrong
+   */
+  async authenticate(username, password) {
+    const account = this.accounts.get(username.toLowerCase());
+    if (!account) {
+      return null;
+    }
+    const valid = await verifyPassword(password, account.salt, account.hash);
+    return valid ? account.username : null;
+  }
+}
+
+module.exports = {
+  AccountStore,
+  hashPassword,
+  verifyPassword,
+  MIN_PASSWORD_LENGTH,
+};
@@ -0,0 +1,150 @@
+/**
+ * File Attachments
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Keeps uploaded files on local disk. Each upload gets a random ID and is
+ * saved as two files: the raw bytes (<id>) and its metadata (<id>.json).
+ * Messages only carry attachment IDs from the client; the server looks the
+ * metadata up here, so names, types and sizes can't be forged.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Attachment IDs are UUIDs - anything else is rejected before it reaches the file system
+const ATTACHMENT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Longest file name kept from an upload
+const MAX_NAME_LENGTH = 100;
+
+// Types assumed from the file name when the browser doesn't know a file's type
+// (browsers send nothing for .log files, for example)
+const TYPES_BY_EXTENSION = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".txt": "text/plain",
+  ".log": "text/plain",
+  ".csv": "text/csv",
+  ".json": "application/json",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".gz": "application/gzip",
+};
+
+/**
+ * Cleans up a client-supplied file name for display and downloads
+ * Drops any directory part and control characters
+ * @param {string} name - File name from the upload request
+ * @returns {string} - Safe file name (never empty)
+ */
+function sanitizeFileName(name) {
+  const base = String(name || "")
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001F\u007F]/g, "")
+    .trim()
+    .slice(0, MAX_NAME_LENGTH);
+  return base || "file";
+}
+
+/**
+ * Works out an upload's MIME type
+ * The type the client sent wins unless it's missing or the generic application/octet-stream,
+ * in which case it's guessed from the file name's extension
+ * @param {string} contentType - Content-Type of the upload request
+ * @param {string} name - File name from the upload request
+ * @returns {string} - Lowercase MIME type ("" if unknown)
+ */
+function getUploadType(contentType, name) {
+  const type = String(contentType || "").split(";")[0].trim().toLowerCase();
+  if (type && type !== "application/octet-stream") {
+    return type;
+  }
+  return TYPES_BY_EXTENSION[path.extname(String(name || "")).toLowerCase()] || type;
+}
+
+/**
+ * Disk-backed attachment store
+ */
+class AttachmentStore {
+  /**
+   * @param {string} dir - Directory uploads are saved in
+   */
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  /**
+   * Gets the path of an attachment's bytes
+   * @param {string} id - Attachment ID
+   * @returns {string} - File path
+   */
+  filePath(id) {
+    return path.join(this.dir, id);
+  }
+
+  /**
+   * Saves an upload
+   * @param {Buffer} data - File contents
+   * @param {Object} info - { name, type, uploadedBy } (uploadedBy identifies the uploader, e.g. an owner key)
+   * @returns {Promise<Object>} - Metadata: { id, name, type, size, uploadedBy, uploadedAt }
+   */
+  async save(data, info) {
+    const attachment = {
+      id: crypto.randomUUID(),
+      name: sanitizeFileName(info.name),
+      type: info.type,
+      size: data.length,
+      uploadedBy: info.uploadedBy,
+      uploadedAt: new Date().toISOString(),
+    };
+
+    await fs.promises.writeFile(this.filePath(attachment.id), data);
+    await fs.promises.writeFile(`${this.filePath(attachment.id)}.json`, JSON.stringify(attachment));
+    return attachment;
+  }
+
+  /**
+   * Looks up an attachment's metadata
+   * @param {string} id - Attachment ID
+   * @returns {Promise<Object|null>} - Metadata, or null if the ID is unknown or malformed
+   */
+  async get(id) {
+    if (!ATTACHMENT_ID_PATTERN.test(id)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.promises.readFile(`${this.filePath(id)}.json`, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Deletes an attachment's bytes and metadata
+   * @param {string} id - Attachment ID
+   */
+  async remove(id) {
+    if (!ATTACHMENT_ID_PATTERN.test(id)) {
+      return;
+    }
+    await fs.promises.rm(this.filePath(id), { force: true });
+    await fs.promises.rm(`${this.filePath(id)}.json`, { force: true });
+  }
+}
+
+module.exports = {
+  AttachmentStore,
+  ATTACHMENT_ID_PATTERN,
+  sanitizeFileName,
+  getUploadType,
+};
@@ -0,0 +1,96 @@
+/**
+ * Slash Commands
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * A registry of the commands users can type into the message box, such as
+ * "/me waves" or "/topic Release planning". server.js registers the commands
+ * and runs every outgoing message through execute() before posting it.
+ *
+ * A command is a plain object:
+ *   { name, usage, description, channelOnly, role, run(args, context) }
+ * Commands with a role (e.g. "moderator") are hidden from and refused to
+ * users without it.
+ * run() gets the text after the command name and the caller's context, and
+ * returns (or resolves to) one of:
+ * - { post: { message, action? } }  Post this message instead of the typed text
+ * - { reply: "text" }               Show this text to the caller only
+ * - { error: "text" }               The command failed
+ */
+
+const { hasRole } = require("./moderation");
+
+// "/name" at the very start of a message, then optional arguments
+const COMMAND_PATTERN = /^\/([a-z][a-z0-9-]*)(?:\s+([\s\S]*))?$/i;
+
+class CommandRegistry {
+  constructor() {
+    // Key: command name (lowercase), Value: command
+    this.commands = new Map();
+  }
+
+  /**
+   * Adds a command
+   * @param {Object} command - { name, usage, description, channelOnly, role, run }
+   */
+  register(command) {
+    this.commands.set(command.name.toLowerCase(), command);
+  }
+
+  /**
+   * Finds a command by name
+   * @param {string} name - Command name, without the slash
+   * @returns {Object|undefined} - The command
+   */
+  get(name) {
+    return this.commands.get(name.toLowerCase());
+  }
+
+  /**
+   * Lists the commands a user may run, for /help and client autocomplete
+   * @param {string} role - The user's role
+   * @returns {Array<{ name: string, usage: string, description: string }>} - Commands sorted by name
+   */
+  list(role) {
+    return Array.from(this.commands.values())
+      .filter((command) => !command.role || hasRole(role, command.role))
+      .map((command) => ({ name: command.name, usage: command.usage, description: command.description }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Splits a message into a command name and its arguments
+   * @param {string} text - Message text
+   * @returns {{ name: string, args: string } | null} - Parsed command, or null if the text isn't one
+   */
+  parse(text) {
+    const match = COMMAND_PATTERN.exec(text);
+    return match ? { name: match[1].toLowerCase(), args: (match[2] || "").trim() } : null;
+  }
+
+  /**
+   * Runs the command in a message, if it contains one
+   * @param {string} text - Message text
+   * @param {Object} context - Caller details passed to the command ({ socket, username, role, room, to })
+   * @returns {Promise<Object|null>} - The command's result, or null if the text isn't a command
+   */
+  async execute(text, context) {
+    const parsed = this.parse(text);
+    if (!parsed) {
+      return null;
+    }
+
+    const command = this.get(parsed.name);
+    if (!command || (command.role && !hasRole(context.role, command.role))) {
+      return { error: `Unknown command /${parsed.name}. Type /help to see the available commands.` };
+    }
+    if (command.channelOnly && !context.room) {
+      return { error: `/${command.name} only works in channels.` };
+    }
+
+    return command.run(parsed.args, context);
+  }
+}
+
+module.exports = {
+  CommandRegistry,
+};
@@ -0,0 +1,543 @@
+/**
+ * Configuration
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Loads the server settings and checks them before anything starts.
+ *
+ * Each setting has a built-in default, can be set in a JSON config file
+ * (CONFIG_FILE, or config.json in the project folder if it exists) and can be
+ * overridden by an environment variable. Environment variables win over the
+ * file, so one config file can be shared between machines.
+ *
+ * The file mirrors the structure of the loaded config:
+ *   { "server": { "port": 443 }, "cors": { "origins": ["https://example.com"] } }
+ *
+ * Every invalid value is reported at once, naming where it came from, so a
+ * bad deployment fails at startup rather than halfway through a chat.
+ */
+
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+
+// A DNS name such as "chat.example.com" or "localhost"
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/i;
+
+// An origin a browser sends, e.g. "https://example.github.io" or "http://localhost:8080"
+const ORIGIN_PATTERN = /^https?:\/\/[a-z0-9.-]+(?::\d{1,5})?$/i;
+
+// A MIME type such as "image/png" (parameters like "; charset=utf-8" aren't part of it)
+const MIME_TYPE_PATTERN = /^[a-z0-9][a-z0-9!#$&^_.+-]*\/[a-z0-9][a-z0-9!#$&^_.+-]*$/;
+
+// Same minimum as webhook tokens, so secrets and API tokens can't be guessed
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Thrown when one or more settings are invalid
+ * `problems` lists each one, e.g. 'PORT: must be a whole number from 1 to 65535 (got "abc")'
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string[]} problems - One message per invalid setting
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * Value parsers
+ * Each takes the raw value (a string from the environment, or any JSON value
+ * from the file) and the setting, and returns { value } or { error }
+ */
+const TYPES = {
+  string: (raw, setting) => {
+    if (typeof raw !== "string") {
+      return { error: "must be text" };
+    }
+    if (setting.minLength && raw.length < setting.minLength) {
+      return { error: `must be at least ${setting.minLength} characters` };
+    }
+    return { value: raw };
+  },
+
+  integer: (raw, setting) => {
+    const value = typeof raw === "string" && raw.trim() !== "" ? Number(raw) : raw;
+    if (!Number.isInteger(value) || value < setting.min || value > setting.max) {
+      return { error: `must be a whole number from ${setting.min} to ${setting.max}` };
+    }
+    return { value: value };
+  },
+
+  boolean: (raw) => {
+    if (typeof raw === "boolean") {
+      return { value: raw };
+    }
+    const text = String(raw).trim().toLowerCase();
+    if (["true", "on", "yes", "1"].includes(text)) {
+      return { value: true };
+    }
+    if (["false", "off", "no", "0"].includes(text)) {
+      return { value: false };
+    }
+    return { error: 'must be "on" or "off"' };
+  },
+
+  enum: (raw, setting) => {
+    const value = String(raw).trim().toLowerCase();
+    if (!setting.values.includes(value)) {
+      return { error: `must be one of: ${setting.values.join(", ")}` };
+    }
+    return { value: value };
+  },
+
+  path: (raw, setting, baseDir) => {
+    if (typeof raw !== "string" || raw.trim() === "") {
+      return { error: "must be a file or folder path" };
+    }
+    return { value: path.resolve(baseDir, raw.trim()) };
+  },
+
+  host: (raw) => {
+    const value = String(raw).trim().toLowerCase();
+    if (!net.isIP(value) && !HOSTNAME_PATTERN.test(value)) {
+      return { error: "must be a hostname or IP address" };
+    }
+    return { value: value };
+  },
+
+  origin: (raw) => {
+    const value = String(raw).trim().replace(/\/$/, "");
+    if (value !== "*" && !ORIGIN_PATTERN.test(value)) {
+      return { error: 'must be "*" or an origin such as https://example.com' };
+    }
+    return { value: value };
+  },
+
+  mimeType: (raw) => {
+    const value = String(raw).trim().toLowerCase();
+    if (!MIME_TYPE_PATTERN.test(value)) {
+      return { error: "must be a MIME type such as image/png" };
+    }
+    return { value: value };
+  },
+
+  // A token bucket: "capacity/refillPerSecond" in the environment (e.g. "5/1" allows bursts of 5, then 1 a second),
+  // { "capacity": 5, "refillPerSecond": 1 } in the file
+  bucket: (raw) => {
+    let parts = {};
+    if (typeof raw === "string") {
+      const numbers = raw.split("/").map((part) => (part.trim() === "" ? NaN : Number(part)));
+      parts = numbers.length === 2 ? { capacity: numbers[0], refillPerSecond: numbers[1] } : {};
+    } else if (raw && typeof raw === "object" && !Array.isArray(raw)) {
+      parts = raw;
+    }
+
+    const { capacity, refillPerSecond } = parts;
+    const validCapacity = Number.isInteger(capacity) && capacity >= 1 && capacity <= 10000;
+    const validRefill = typeof refillPerSecond === "number" && refillPerSecond > 0 && refillPerSecond <= 1000;
+    if (!validCapacity || !validRefill) {
+      return {
+        error:
+          'must be "capacity/refillPerSecond" or { "capacity", "refillPerSecond" }, ' +
+          "with a whole capacity from 1 to 10000 and a refill above 0 and up to 1000",
+      };
+    }
+    return { value: { capacity: capacity, refillPerSecond: refillPerSecond } };
+  },
+
+  // Comma-separated in the environment, an array in the file; each entry is checked with `of`
+  list: (raw, setting, baseDir) => {
+    let entries;
+    if (Array.isArray(raw)) {
+      entries = raw;
+    } else if (typeof raw === "string") {
+      entries = raw.split(",");
+    } else {
+      return { error: "must be a list" };
+    }
+
+    const values = [];
+    for (const entry of entries) {
+      if (typeof entry === "string" && entry.trim() === "") {
+        continue;
+      }
+      const value = typeof entry === "string" ? entry.trim() : entry;
+      const item = setting.of ? TYPES[setting.of](value, setting, baseDir) : { value: String(value) };
+      if (item.error) {
+        return { error: `${JSON.stringify(entry)} ${item.error}` };
+      }
+      values.push(item.value);
+    }
+    return { value: values };
+  },
+};
+
+/**
+ * Default value of a "bucket" setting
+ * @param {number} capacity - Burst size
+ * @param {number} refillPerSecond - Sustained events per second
+ * @returns {Object} - { capacity, refillPerSecond }
+ */
+function tokenBucket(capacity, refillPerSecond) {
+  return { capacity: capacity, refillPerSecond: refillPerSecond };
+}
+
+/**
+ * Every setting, in the order they're loaded
+ * `default` may be a function of the settings loaded before it
+ * Settings without a default are left out (undefined) unless set
+ */
+const SETTINGS = [
+  // Where the server listens and the names it's reached by
+  { key: "server.host", env: "HOST", type: "host" },
+  { key: "server.port", env: "PORT", type: "integer", min: 1, max: 65535, default: 25567 },
+  { key: "server.publicHostname", env: "PUBLIC_HOSTNAME", type: "host", default: "localhost" },
+
+  // The HTTPS certificate; a self-signed one is generated at these paths if they don't exist
+  { key: "tls.certFile", env: "TLS_CERT_FILE", type: "path", default: "certs/cert.pem" },
+  { key: "tls.keyFile", env: "TLS_KEY_FILE", type: "path", default: "certs/key.pem" },
+  {
+    key: "tls.commonName",
+    env: "TLS_COMMON_NAME",
+    type: "host",
+    default: (config) => config.server.publicHostname,
+  },
+  {
+    key: "tls.altNames",
+    env: "TLS_ALT_NAMES",
+    type: "list",
+    of: "host",
+    default: (config) => Array.from(new Set(["localhost", config.server.publicHostname, "127.0.0.1"])),
+  },
+
+  // Web pages allowed to use the chat from another origin ("*" allows any)
+  { key: "cors.origins", env: "CORS_ORIGINS", type: "list", of: "origin", default: ["*"] },
+
+  // Chat history, accounts and uploads
+  { key: "storage.dataDir", env: "DATA_DIR", type: "path", default: "data" },
+  { key: "storage.messageStore", env: "MESSAGE_STORE", type: "enum", values: ["file", "memory"], default: "file" },
+  { key: "storage.sessionSecret", env: "SESSION_SECRET", type: "string", minLength: MIN_SECRET_LENGTH },
+
+  // Registered usernames with moderation powers
+  { key: "moderation.admins", env: "ADMINS", type: "list", default: [] },
+  { key: "moderation.moderators", env: "MODERATORS", type: "list", default: [] },
+
+  // Message filters (see lib/message-filters.js)
+  {
+    key: "filters.enabled",
+    env: "MESSAGE_FILTERS",
+    type: "list",
+    of: "enum",
+    values: ["secrets", "profanity", "links"],
+    default: ["secrets"],
+  },
+  { key: "filters.profanityWords", env: "PROFANITY_WORDS", type: "list" },
+  {
+    key: "filters.profanityAction",
+    env: "PROFANITY_ACTION",
+    type: "enum",
+    values: ["mask", "reject", "flag"],
+    default: "mask",
+  },
+  { key: "filters.blockedDomains", env: "BLOCKED_DOMAINS", type: "list", of: "host", default: [] },
+  {
+    key: "filters.blockedLinkAction",
+    env: "BLOCKED_LINK_ACTION",
+    type: "enum",
+    values: ["reject", "flag"],
+    default: "reject",
+  },
+
+  // Attachments (the types are what can be uploaded; images among them are shown inline)
+  { key: "uploads.maxMegabytes", env: "UPLOAD_MAX_MB", type: "integer", min: 1, max: 100, default: 5 },
+  {
+    key: "uploads.allowedTypes",
+    env: "UPLOAD_TYPES",
+    type: "list",
+    of: "mimeType",
+    default: [
+      "image/png",
+      "image/jpeg",
+      "image/gif",
+      "image/webp",
+      "text/plain",
+      "text/csv",
+      "application/json",
+      "application/pdf",
+      "application/zip",
+      "application/gzip",
+    ],
+  },
+
+  // Webhooks and the REST API
+  {
+    key: "webhooks.file",
+    env: "WEBHOOKS_FILE",
+    type: "path",
+    default: (config) => path.join(config.storage.dataDir, "webhooks.json"),
+  },
+  {
+    key: "webhooks.retryDelaysSeconds",
+    env: "WEBHOOK_RETRY_DELAYS",
+    type: "list",
+    of: "integer",
+    min: 1,
+    max: 24 * 60 * 60,
+    default: [5, 30, 2 * 60],
+  },
+  { key: "webhooks.timeoutSeconds", env: "WEBHOOK_TIMEOUT_SECONDS", type: "integer", min: 1, max: 120, default: 10 },
+  { key: "api.tokens", env: "API_TOKENS", type: "list", of: "string", minLength: MIN_SECRET_LENGTH, default: [] },
+  // /metrics is open to anyone who can reach it unless a token is set
+  { key: "metrics.token", env: "METRICS_TOKEN", type: "string", minLength: MIN_SECRET_LENGTH },
+
+  // Logging (see lib/logger.js)
+  {
+    key: "logging.level",
+    env: "LOG_LEVEL",
+    type: "enum",
+    values: ["debug", "info", "warn", "error"],
+    default: "info",
+  },
+  { key: "logging.format", env: "LOG_FORMAT", type: "enum", values: ["text", "json"], default: "text" },
+  {
+    key: "logging.sinks",
+    env: "LOG_SINKS",
+    type: "list",
+    of: "enum",
+    values: ["console", "file"],
+    default: ["console"],
+  },
+  {
+    key: "logging.file",
+    env: "LOG_FILE",
+    type: "path",
+    default: (config) => path.join(config.storage.dataDir, "logs", "server.log"),
+  },
+  {
+    key: "logging.maxBytes",
+    env: "LOG_MAX_BYTES",
+    type: "integer",
+    min: 1024,
+    max: 1024 * 1024 * 1024,
+    default: 10 * 1024 * 1024,
+  },
+  { key: "logging.maxFiles", env: "LOG_MAX_FILES", type: "integer", min: 0, max: 100, default: 5 },
+  { key: "logging.privacy", env: "LOG_PRIVACY", type: "boolean", default: true },
+
+  // Limits
+  { key: "limits.historyLimit", env: "HISTORY_LIMIT", type: "integer", min: 1, max: 500, default: 50 },
+  { key: "limits.resumeGraceSeconds", env: "RESUME_GRACE_SECONDS", type: "integer", min: 0, max: 3600, default: 30 },
+  { key: "limits.maxMuteHours", env: "MAX_MUTE_HOURS", type: "integer", min: 1, max: 24 * 365, default: 7 * 24 },
+  // Clients repeat "typing" every 3 seconds, so a shorter expiry would make the indicator flicker
+  { key: "limits.typingExpirySeconds", env: "TYPING_EXPIRY_SECONDS", type: "integer", min: 5, max: 60, default: 6 },
+
+  // Flood protection (see lib/flood-guard.js)
+  // Each category has a token bucket per socket (or per hook/token for webhooks and the API) and one per IP
+  { key: "flood.messagePerSocket", env: "FLOOD_MESSAGE_PER_SOCKET", type: "bucket", default: tokenBucket(5, 1) },
+  { key: "flood.messagePerIp", env: "FLOOD_MESSAGE_PER_IP", type: "bucket", default: tokenBucket(20, 4) },
+  { key: "flood.typingPerSocket", env: "FLOOD_TYPING_PER_SOCKET", type: "bucket", default: tokenBucket(10, 2) },
+  { key: "flood.typingPerIp", env: "FLOOD_TYPING_PER_IP", type: "bucket", default: tokenBucket(40, 8) },
+  { key: "flood.uploadPerSocket", env: "FLOOD_UPLOAD_PER_SOCKET", type: "bucket", default: tokenBucket(8, 0.5) },
+  { key: "flood.uploadPerIp", env: "FLOOD_UPLOAD_PER_IP", type: "bucket", default: tokenBucket(24, 1) },
+  { key: "flood.webhookPerSocket", env: "FLOOD_WEBHOOK_PER_SOCKET", type: "bucket", default: tokenBucket(10, 0.5) },
+  { key: "flood.webhookPerIp", env: "FLOOD_WEBHOOK_PER_IP", type: "bucket", default: tokenBucket(30, 1) },
+  { key: "flood.apiPerSocket", env: "FLOOD_API_PER_SOCKET", type: "bucket", default: tokenBucket(60, 2) },
+  { key: "flood.apiPerIp", env: "FLOOD_API_PER_IP", type: "bucket", default: tokenBucket(120, 4) },
+  { key: "flood.authPerSocket", env: "FLOOD_AUTH_PER_SOCKET", type: "bucket", default: tokenBucket(5, 0.1) },
+  { key: "flood.authPerIp", env: "FLOOD_AUTH_PER_IP", type: "bucket", default: tokenBucket(20, 0.2) },
+  {
+    key: "flood.duplicateWindowSeconds",
+    env: "FLOOD_DUPLICATE_WINDOW_SECONDS",
+    type: "integer",
+    min: 0,
+    max: 60 * 60,
+    default: 10,
+  },
+  {
+    key: "flood.violationsBeforeMute",
+    env: "FLOOD_VIOLATIONS_BEFORE_MUTE",
+    type: "integer",
+    min: 1,
+    max: 1000,
+    default: 5,
+  },
+  {
+    key: "flood.violationWindowSeconds",
+    env: "FLOOD_VIOLATION_WINDOW_SECONDS",
+    type: "integer",
+    min: 1,
+    max: 60 * 60,
+    default: 60,
+  },
+  {
+    key: "flood.muteDurationsSeconds",
+    env: "FLOOD_MUTE_DURATIONS",
+    type: "list",
+    of: "integer",
+    min: 1,
+    max: 7 * 24 * 60 * 60,
+    default: [30, 2 * 60, 10 * 60],
+  },
+
+  // Features that can be turned off
+  { key: "features.registration", env: "FEATURE_REGISTRATION", type: "boolean", default: true },
+  { key: "features.uploads", env: "FEATURE_UPLOADS", type: "boolean", default: true },
+  { key: "features.webhooks", env: "FEATURE_WEBHOOKS", type: "boolean", default: true },
+  { key: "features.api", env: "FEATURE_API", type: "boolean", default: true },
+  { key: "features.metrics", env: "FEATURE_METRICS", type: "boolean", default: true },
+];
+
+/**
+ * Reads a dotted key ("server.port") from a nested object
+ * @param {Object} object - Nested object
+ * @param {string} key - Dotted key
+ * @returns {*} - The value, or undefined
+ */
+function getPath(object, key) {
+  return key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), object);
+}
+
+/**
+ * Writes a dotted key into a nested object, creating sections as needed
+ * @param {Object} object - Nested object
+ * @param {string} key - Dotted key
+ * @param {*} value - Value to store
+ */
+function setPath(object, key, value) {
+  const parts = key.split(".");
+  const last = parts.pop();
+  const section = parts.reduce((node, part) => (node[part] = node[part] || {}), object);
+  section[last] = value;
+}
+
+/**
+ * Lists the dotted keys in a config file that aren't known settings (usually typos)
+ * @param {Object} file - Parsed config file
+ * @returns {string[]} - Unknown keys
+ */
+function findUnknownKeys(file) {
+  const known = new Set(SETTINGS.map((setting) => setting.key));
+  const sections = new Set(SETTINGS.map((setting) => setting.key.split(".")[0]));
+  const unknown = [];
+
+  Object.entries(file).forEach(([section, values]) => {
+    if (!sections.has(section) || !values || typeof values !== "object" || Array.isArray(values)) {
+      unknown.push(section);
+      return;
+    }
+    Object.keys(values)
+      .filter((name) => !known.has(`${section}.${name}`))
+      .forEach((name) => unknown.push(`${section}.${name}`));
+  });
+
+  return unknown;
+}
+
+/**
+ * Reads the config file
+ * @param {string} filePath - Path of the JSON file
+ * @param {boolean} required - Whether a missing file is an error (it is when CONFIG_FILE names it)
+ * @returns {{ file: Object } | { error: string }} - Parsed file ({} if optional and missing) or why it can't be used
+ */
+function readConfigFile(filePath, required) {
+  if (!fs.existsSync(filePath)) {
+    return required ? { error: `CONFIG_FILE: ${filePath} doesn't exist` } : { file: {} };
+  }
+
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    return { error: `${filePath}: isn't valid JSON (${err.message})` };
+  }
+  if (!file || typeof file !== "object" || Array.isArray(file)) {
+    return { error: `${filePath}: must contain a JSON object` };
+  }
+  return { file: file };
+}
+
+/**
+ * Works out a setting's default value
+ * @param {Object} setting - Entry from SETTINGS
+ * @param {Object} config - Settings loaded so far
+ * @param {string} baseDir - Folder relative paths are resolved against
+ * @returns {*} - The default (undefined if the setting has none)
+ */
+function getDefault(setting, config, baseDir) {
+  const fallback = typeof setting.default === "function" ? setting.default(config) : setting.default;
+  return setting.type === "path" && fallback !== undefined ? path.resolve(baseDir, fallback) : fallback;
+}
+
+/**
+ * Loads and checks every setting
+ * @param {Object} [options] - Where to read from
+ * @param {Object} [options.env] - Environment variables (default: process.env)
+ * @param {string} [options.baseDir] - Folder relative paths are resolved against (default: the project folder)
+ * @returns {Object} - The config, e.g. config.server.port (frozen)
+ * @throws {ConfigError} - If the file can't be read or any value is invalid
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const baseDir = options.baseDir || path.join(__dirname, "..");
+
+  const filePath = path.resolve(baseDir, env.CONFIG_FILE || "config.json");
+  const read = readConfigFile(filePath, Boolean(env.CONFIG_FILE));
+  if (read.error) {
+    throw new ConfigError([read.error]);
+  }
+
+  const problems = findUnknownKeys(read.file).map((key) => `${path.basename(filePath)}: unknown setting "${key}"`);
+  const config = {};
+
+  SETTINGS.forEach((setting) => {
+    // Environment variables win over the file
+    let raw;
+    let source;
+    if (env[setting.env] !== undefined) {
+      raw = env[setting.env];
+      source = setting.env;
+    } else if (getPath(read.file, setting.key) !== undefined) {
+      raw = getPath(read.file, setting.key);
+      source = `${path.basename(filePath)} ${setting.key}`;
+    }
+
+    // An empty environment variable means "not set", except for lists where it means "none"
+    if (raw === undefined || (raw === "" && setting.type !== "list")) {
+      setPath(config, setting.key, getDefault(setting, config, baseDir));
+      return;
+    }
+
+    const parsed = TYPES[setting.type](raw, setting, baseDir);
+    if (parsed.error) {
+      problems.push(`${source}: ${parsed.error} (got ${JSON.stringify(raw)})`);
+      // Keep the default so later defaults that depend on this setting can still be worked out
+      setPath(config, setting.key, getDefault(setting, config, baseDir));
+      return;
+    }
+    setPath(config, setting.key, parsed.value);
+  });
+
+  if (config.logging.sinks.length === 0) {
+    problems.push("LOG_SINKS: must name at least one of: console, file");
+  }
+
+  if (config.flood.muteDurationsSeconds.length === 0) {
+    problems.push("FLOOD_MUTE_DURATIONS: must list at least one duration");
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  Object.values(config).forEach(Object.freeze);
+  return Object.freeze(config);
+}
+
+module.exports = {
+  SETTINGS,
+  ConfigError,
+  loadConfig,
+};
@@ -0,0 +1,225 @@
+/**
+ * Flood Protection
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Limits how fast clients can emit events using token buckets, both per
+ * socket and per IP address (so opening many tabs doesn't multiply the
+ * allowance). It also suppresses repeated identical messages and mutes
+ * clients that keep hitting the limits, for longer each time.
+ */
+
+/**
+ * Classic token bucket: holds up to `capacity` tokens and refills
+ * `refillPerSecond` tokens per second. Each event takes one token.
+ */
+class TokenBucket {
+  /**
+   * @param {number} capacity - Maximum burst size
+   * @param {number} refillPerSecond - Sustained events per second
+   */
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Adds the tokens earned since the last update
+   */
+  refill() {
+    const now = Date.now();
+    const earned = ((now - this.updatedAt) / 1000) * this.refillPerSecond;
+    this.tokens = Math.min(this.capacity, this.tokens + earned);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Takes one token if available
+   * @returns {number} - 0 if allowed, otherwise milliseconds until a token is available
+   */
+  take() {
+    this.refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+  }
+
+  /**
+   * Whether the bucket has refilled completely (and can be forgotten)
+   * @returns {boolean} - True if full
+   */
+  isFull() {
+    this.refill();
+    return this.tokens >= this.capacity;
+  }
+}
+
+/**
+ * Tracks buckets, duplicates and mutes for every client and IP
+ *
+ * Clients are identified by a caller-chosen key - server.js uses the user's
+ * account or chat session once they have joined, so neither reconnecting nor
+ * changing name resets a mute.
+ */
+class FloodGuard {
+  /**
+   * @param {Object} options - Thresholds
+   * @param {Object} options.limits - Category -> { perSocket: { capacity, refillPerSecond }, perIp: {...} }
+   * @param {number} options.duplicateWindowMs - Identical messages within this window are rejected
+   * @param {number} options.violationsBeforeMute - Rejections within the window that trigger a mute
+   * @param {number} options.violationWindowMs - Window for counting rejections
+   * @param {number[]} options.muteDurationsMs - Mute lengths, escalating with each mute
+   */
+  constructor(options) {
+    this.options = options;
+
+    // Key: "<category>:<scope>:<client ID or IP>", Value: TokenBucket
+    this.buckets = new Map();
+
+    // Key: client ID, Value: { lastText, lastTextAt, violations: number[], muteLevel, mutedUntil }
+    this.clients = new Map();
+  }
+
+  /**
+   * Gets (creating if needed) the offence record of a client
+   * @param {string} clientId - Client ID
+   * @returns {Object} - Record
+   */
+  getRecord(clientId) {
+    if (!this.clients.has(clientId)) {
+      this.clients.set(clientId, { lastText: null, lastTextAt: 0, violations: [], muteLevel: 0, mutedUntil: 0 });
+    }
+    return this.clients.get(clientId);
+  }
+
+  /**
+   * Takes a token from the bucket for a category and key
+   * @param {string} category - Limit category
+   * @param {string} scope - 'perSocket' or 'perIp'
+   * @param {string} key - Client ID or IP address
+   * @returns {number} - 0 if allowed, otherwise milliseconds to wait
+   */
+  take(category, scope, key) {
+    const bucketKey = `${category}:${scope}:${key}`;
+    if (!this.buckets.has(bucketKey)) {
+      const limit = this.options.limits[category][scope];
+      this.buckets.set(bucketKey, new TokenBucket(limit.capacity, limit.refillPerSecond));
+    }
+    return this.buckets.get(bucketKey).take();
+  }
+
+  /**
+   * Records a rejection and mutes the client if it keeps offending
+   * @param {Object} record - Client offence record
+   * @returns {number} - Mute length in ms if a mute was applied, otherwise 0
+   */
+  recordViolation(record) {
+    const now = Date.now();
+    record.violations = record.violations.filter((at) => now - at < this.options.violationWindowMs);
+    record.violations.push(now);
+
+    if (record.violations.length < this.options.violationsBeforeMute) {
+      return 0;
+    }
+
+    const durations = this.options.muteDurationsMs;
+    const duration = durations[Math.min(record.muteLevel, durations.length - 1)];
+    record.muteLevel += 1;
+    record.mutedUntil = now + duration;
+    record.violations = [];
+    return duration;
+  }
+
+  /**
+   * Checks whether an event may go through
+   * @param {Object} event - { clientId, ip, category, text }
+   *   `text` is the message body for duplicate detection (optional); it is compared with
+   *   the last text passed to recordText()
+   * @returns {{ allowed: true } | { allowed: false, reason: string, retryAfterMs: number }} - Decision
+   */
+  check(event) {
+    const record = this.getRecord(event.clientId);
+    const now = Date.now();
+
+    // Muted clients can still type, log in, etc. - only chatting is blocked
+    if (event.category === "message" && record.mutedUntil > now) {
+      return { allowed: false, reason: "muted", retryAfterMs: record.mutedUntil - now };
+    }
+
+    const wait = Math.max(
+      this.take(event.category, "perSocket", event.clientId),
+      this.take(event.category, "perIp", event.ip)
+    );
+
+    if (wait > 0) {
+      const muteMs = this.recordViolation(record);
+      return muteMs > 0
+        ? { allowed: false, reason: "muted", retryAfterMs: muteMs }
+        : { allowed: false, reason: "rate", retryAfterMs: wait };
+    }
+
+    if (event.text !== undefined) {
+      const isDuplicate = event.text === record.lastText && now - record.lastTextAt < this.options.duplicateWindowMs;
+      if (isDuplicate) {
+        const muteMs = this.recordViolation(record);
+        return muteMs > 0
+          ? { allowed: false, reason: "muted", retryAfterMs: muteMs }
+          : { allowed: false, reason: "duplicate", retryAfterMs: record.lastTextAt + this.options.duplicateWindowMs - now };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Records a message a client has successfully sent, for duplicate detection
+   * Kept separate from check() so a message that fails after passing the limits can be sent again
+   * @param {string} clientId - Client ID
+   * @param {string} text - Message body (as passed to check())
+   */
+  recordText(clientId, text) {
+    const record = this.getRecord(clientId);
+    record.lastText = text;
+    record.lastTextAt = Date.now();
+  }
+
+  /**
+   * Time left on a client's mute
+   * @param {string} clientId - Client ID
+   * @returns {number} - Milliseconds until the mute ends, or 0 if the client isn't muted
+   */
+  getMutedMs(clientId) {
+    const record = this.clients.get(clientId);
+    return record ? Math.max(0, record.mutedUntil - Date.now()) : 0;
+  }
+
+  /**
+   * Drops state that no longer affects any decision:
+   * full buckets (same as new ones) and clients with no active mute or recent activity.
+   * Mute levels are kept while a client has been seen within the violation window.
+   */
+  prune() {
+    const now = Date.now();
+
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.isFull()) {
+        this.buckets.delete(key);
+      }
+    }
+
+    for (const [clientId, record] of this.clients) {
+      const lastActivity = Math.max(record.lastTextAt, record.mutedUntil, ...record.violations);
+      if (now - lastActivity > Math.max(this.options.violationWindowMs, this.options.duplicateWindowMs)) {
+        this.clients.delete(clientId);
+      }
+    }
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  FloodGuard,
+};
@@ -0,0 +1,266 @@
+/**
+ * Logger
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Leveled, structured logging. Every entry has a time, a level, a tag (the
+ * area of the server, e.g. "JOIN" or "STORE"), a message and optional fields.
+ * Entries are written as readable text lines or as one JSON object per line,
+ * to the console and/or rotating files.
+ *
+ * Child loggers carry fields into every entry they write, so all entries
+ * about one connection can be found by its socket ID:
+ *   const log = logger.child({ socketId: socket.id });
+ *   log.info("JOIN", "Alice joined the chat", { users: 3 });
+ *
+ * Message text goes in the `content` field. In privacy mode that field is
+ * left out of every entry, so logs never contain what users wrote.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Levels in increasing severity; entries below the configured level are dropped
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+};
+
+// Field holding user-written text, dropped in privacy mode
+const CONTENT_FIELD = "content";
+
+/**
+ * Formats an entry as a readable line, e.g.
+ * 2024-01-01T12:00:00.000Z INFO  [JOIN] Alice joined the chat users=3 socketId=abc
+ * @param {Object} entry - { time, level, tag, msg, ...fields }
+ * @returns {string} - The line
+ */
+function formatText(entry) {
+  const { time, level, tag, msg, ...fields } = entry;
+  const extras = Object.entries(fields).map(([key, value]) => {
+    const text = typeof value === "string" && /^[^\s"=]+$/.test(value) ? value : JSON.stringify(value);
+    return `${key}=${text}`;
+  });
+  return [time, level.toUpperCase().padEnd(5), `[${tag}]`, msg].concat(extras).join(" ");
+}
+
+/**
+ * Writes entries to stdout, or stderr for warnings and errors
+ */
+class ConsoleSink {
+  /**
+   * @param {string} line - Formatted entry
+   * @param {string} level - Entry level
+   */
+  write(line, level) {
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + "\n");
+  }
+}
+
+/**
+ * Appends entries to a file, starting a new one when it gets too big
+ * The current file is "<name>", older ones "<name>.1" (newest) to "<name>.<maxFiles>"
+ */
+class RotatingFileSink {
+  /**
+   * @param {Object} options - Settings
+   * @param {string} options.filePath - Path of the current log file
+   * @param {number} options.maxBytes - Size at which the file is rotated
+   * @param {number} options.maxFiles - Rotated files to keep
+   */
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.maxBytes = options.maxBytes;
+    this.maxFiles = options.maxFiles;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.open();
+  }
+
+  /**
+   * Opens the current log file for appending
+   */
+  open() {
+    this.fd = fs.openSync(this.filePath, "a", 0o600);
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  /**
+   * Moves every file up one number, dropping the oldest, and starts a new current file
+   */
+  rotate() {
+    fs.closeSync(this.fd);
+    for (let index = this.maxFiles - 1; index >= 1; index -= 1) {
+      const from = `${this.filePath}.${index}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${this.filePath}.${index + 1}`);
+      }
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.filePath, `${this.filePath}.1`);
+    } else {
+      fs.unlinkSync(this.filePath);
+    }
+    this.open();
+  }
+
+  /**
+   * @param {string} line - Formatted entry
+   */
+  write(line) {
+    const data = Buffer.from(line + "\n");
+    if (this.size > 0 && this.size + data.length > this.maxBytes) {
+      this.rotate();
+    }
+    fs.writeSync(this.fd, data);
+    this.size += data.length;
+  }
+}
+
+/**
+ * Writes entries at or above a level to its sinks
+ */
+class Logger {
+  /**
+   * @param {Object} options - Settings
+   * @param {string} options.level - Lowest level written: "debug", "info", "warn" or "error"
+   * @param {string} options.format - "text" or "json"
+   * @param {boolean} options.privacy - Leave out message content
+   * @param {Object[]} options.sinks - Where entries go (objects with write(line, level))
+   * @param {Object} [fields] - Fields added to every entry
+   */
+  constructor(options, fields = {}) {
+    this.options = options;
+    this.fields = fields;
+  }
+
+  /**
+   * Makes a logger that adds fields to every entry, e.g. { socketId }
+   * @param {Object} fields - Fields to add
+   * @returns {Logger} - The child logger (sharing this one's settings and sinks)
+   */
+  child(fields) {
+    return new Logger(this.options, Object.assign({}, this.fields, fields));
+  }
+
+  /**
+   * Checks whether entries at a level are written
+   * @param {string} level - Level name
+   * @returns {boolean} - True if enabled
+   */
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.options.level];
+  }
+
+  /**
+   * Writes an entry
+   * @param {string} level - Level name
+   * @param {string} tag - Area of the server, e.g. "JOIN"
+   * @param {string} msg - What happened
+   * @param {Object} [fields] - Extra details
+   */
+  log(level, tag, msg, fields) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const entry = Object.assign(
+      { time: new Date().toISOString(), level: level, tag: tag, msg: msg },
+      this.fields,
+      fields
+    );
+    if (this.options.privacy) {
+      delete entry[CONTENT_FIELD];
+    }
+    Object.keys(entry).forEach((key) => {
+      if (entry[key] === undefined) {
+        delete entry[key];
+      }
+    });
+
+    const line = this.options.format === "json" ? JSON.stringify(entry) : formatText(entry);
+    this.options.sinks.forEach((sink) => sink.write(line, level));
+  }
+
+  /**
+   * Writes a debug entry (details only wanted while investigating)
+   */
+  debug(tag, msg, fields) {
+    this.log("debug", tag, msg, fields);
+  }
+
+  /**
+   * Writes an info entry (normal activity)
+   */
+  info(tag, msg, fields) {
+    this.log("info", tag, msg, fields);
+  }
+
+  /**
+   * Writes a warning (something was refused or skipped)
+   */
+  warn(tag, msg, fields) {
+    this.log("warn", tag, msg, fields);
+  }
+
+  /**
+   * Writes an error (something failed)
+   */
+  error(tag, msg, fields) {
+    this.log("error", tag, msg, fields);
+  }
+}
+
+/**
+ * Creates the logger selected by the server configuration
+ * @param {Object} [options] - Settings (defaults: info level, text, console only)
+ * @param {string} [options.level] - "debug", "info", "warn" or "error"
+ * @param {string} [options.format] - "text" or "json"
+ * @param {boolean} [options.privacy] - Leave out message content
+ * @param {string|string[]} [options.sinks] - "console" and/or "file"
+ * @param {string} [options.filePath] - Log file for the "file" sink
+ * @param {number} [options.maxBytes] - Size at which the log file is rotated (default 10 MB)
+ * @param {number} [options.maxFiles] - Rotated files to keep (default 5)
+ * @returns {Logger} - The logger
+ * @throws {Error} - If a level, format or sink is unknown
+ */
+function createLogger(options = {}) {
+  const level = options.level || "info";
+  const format = options.format || "text";
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  if (format !== "text" && format !== "json") {
+    throw new Error(`Unknown log format: ${format}`);
+  }
+
+  const sinkNames = Array.isArray(options.sinks) ? options.sinks : String(options.sinks || "console").split(",");
+  const sinks = sinkNames
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => {
+      switch (name) {
+        case "console":
+          return new ConsoleSink();
+        case "file":
+          return new RotatingFileSink({
+            filePath: options.filePath,
+            maxBytes: options.maxBytes || 10 * 1024 * 1024,
+            maxFiles: options.maxFiles === undefined ? 5 : options.maxFiles,
+          });
+        default:
+          throw new Error(`Unknown log sink: ${name}`);
+      }
+    });
+
+  return new Logger({ level: level, format: format, privacy: Boolean(options.privacy), sinks: sinks });
+}
+
+module.exports = {
+  LEVELS,
+  Logger,
+  ConsoleSink,
+  RotatingFileSink,
+  createLogger,
+};
@@ -0,0 +1,45 @@
+/**
+ * @mention Parsing
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Finds which users a chat message mentions. Usernames may contain spaces
+ * and dots, so mentions can't be found with a simple `@\w+` pattern - instead
+ * each `@` is checked against the names of the users who could be mentioned.
+ */
+
+// Characters that join a mention to the surrounding word (e.g. in "me@example.com")
+const WORD_CHARACTER = /[\p{L}\p{N}_]/u;
+
+/**
+ * Finds the users mentioned in a message
+ * A mention is "@" followed by a username (case-insensitive) that isn't part of a
+ * longer word. Longer names win, so "@Ann Lee" mentions "Ann Lee" rather than "Ann".
+ * @param {string} text - Message text
+ * @param {string[]} usernames - Users who can be mentioned
+ * @returns {string[]} - Mentioned usernames (spelled as in `usernames`), without duplicates
+ */
+function findMentions(text, usernames) {
+  const candidates = [...usernames].sort((a, b) => b.length - a.length);
+  const found = new Set();
+
+  let index = text.indexOf("@");
+  while (index !== -1) {
+    if (index === 0 || !WORD_CHARACTER.test(text[index - 1])) {
+      const start = index + 1;
+      const match = candidates.find((name) => {
+        const end = start + name.length;
+        return text.slice(start, end).toLowerCase() === name.toLowerCase() && !WORD_CHARACTER.test(text.charAt(end));
+      });
+      if (match) {
+        found.add(match);
+      }
+    }
+    index = text.indexOf("@", index + 1);
+  }
+
+  return [...found];
+}
+
+module.exports = {
+  findMentions,
+};
@@ -0,0 +1,237 @@
+/**
+ * Message Filters
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * A pipeline of checks that every channel message goes through before it is
+ * saved and broadcast. Filters run in order and each one sees the text as
+ * the previous one left it, so a redactor can clean a message before a
+ * blocklist looks at it.
+ *
+ * A filter is a plain object:
+ *   { name, run(text, context) }
+ * run() gets the message text and the sender's context ({ username, room })
+ * and returns (or resolves to) one of:
+ * - nothing                  Allow the message unchanged
+ * - { message: "text" }      Allow it with this text instead
+ * - { reject: "reason" }     Refuse it; the reason is shown to the sender
+ * - { flag: "reason" }       Allow it, but report it to moderators
+ * `message` and `flag` can be returned together.
+ *
+ * Filters don't touch the server, so each can be tested on its own by
+ * calling run() with a string.
+ */
+
+// Characters that make a match part of a longer word
+const WORD_BOUNDARY_BEFORE = "(?<![\\p{L}\\p{N}_])";
+const WORD_BOUNDARY_AFTER = "(?![\\p{L}\\p{N}_])";
+
+// Words masked by the profanity filter unless the deployment supplies its own list
+const DEFAULT_PROFANITY = ["fuck", "fucking", "shit", "bitch", "asshole", "bastard", "cunt", "motherfucker"];
+
+// Credentials the secret redactor masks, with the label shown in their place
+const SECRET_PATTERNS = [
+  { label: "private key", pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { label: "AWS key", pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { label: "GitHub token", pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { label: "Slack token", pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { label: "Google API key", pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { label: "API key", pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+  { label: "API key", pattern: /\bsk-[A-Za-z0-9_-]{20,}/g },
+  { label: "token", pattern: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+];
+
+// Host names in a message, with or without a scheme ("https://example.com/x", "www.example.com")
+const HOST_PATTERN = /(?:\bhttps?:\/\/)?\b((?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,})\b/gi;
+
+/**
+ * Turns a comma-separated setting (or an array) into a list of lowercase entries
+ * @param {string|string[]} value - e.g. "example.com, example.org"
+ * @returns {string[]} - Trimmed, non-empty entries
+ */
+function toList(value) {
+  const entries = Array.isArray(value) ? value : String(value || "").split(",");
+  return entries.map((entry) => String(entry).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Escapes text for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Runs filters in order over each message
+ */
+class MessageFilterPipeline {
+  /**
+   * @param {Object[]} filters - Filters to run, in order
+   */
+  constructor(filters = []) {
+    this.filters = filters;
+  }
+
+  /**
+   * Adds a filter to the end of the pipeline
+   * @param {Object} filter - { name, run }
+   * @returns {MessageFilterPipeline} - The pipeline, for chaining
+   */
+  use(filter) {
+    this.filters.push(filter);
+    return this;
+  }
+
+  /**
+   * Runs a message through every filter
+   * Stops at the first rejection
+   * @param {string} text - Message text
+   * @param {Object} context - Sender details passed to each filter ({ username, room })
+   * @returns {Promise<Object>} - { message, flags: [{ filter, reason }] }, or { error, filter } if rejected
+   */
+  async run(text, context) {
+    let message = text;
+    const flags = [];
+
+    for (const filter of this.filters) {
+      const result = (await filter.run(message, context)) || {};
+
+      if (result.reject) {
+        return { error: result.reject, filter: filter.name };
+      }
+      if (typeof result.message === "string") {
+        message = result.message;
+      }
+      if (result.flag) {
+        flags.push({ filter: filter.name, reason: result.flag });
+      }
+    }
+
+    return { message: message, flags: flags };
+  }
+}
+
+/**
+ * Creates a filter that masks, rejects or flags swear words
+ * Words only match on their own, so "class" doesn't trip on "ass"
+ * @param {Object} [options] - Settings
+ * @param {string|string[]} [options.words] - Words to catch (default: a short built-in list)
+ * @param {string} [options.action] - "mask" (default), "reject" or "flag"
+ * @returns {Object} - The filter
+ */
+function createProfanityFilter(options = {}) {
+  const words = options.words ? toList(options.words) : DEFAULT_PROFANITY;
+  const action = options.action || "mask";
+  const pattern = new RegExp(
+    `${WORD_BOUNDARY_BEFORE}(?:${words.map(escapeRegExp).join("|")})${WORD_BOUNDARY_AFTER}`,
+    "giu"
+  );
+
+  return {
+    name: "profanity",
+    run: (text) => {
+      if (words.length === 0 || !text.match(pattern)) {
+        return undefined;
+      }
+      if (action === "reject") {
+        return { reject: "Please keep it civil - that message contains words that aren't allowed here." };
+      }
+      if (action === "flag") {
+        return { flag: "Contains profanity" };
+      }
+      return { message: text.replace(pattern, (word) => word[0] + "*".repeat(word.length - 1)) };
+    },
+  };
+}
+
+/**
+ * Creates a filter that masks credentials such as API keys, access tokens
+ * and private keys, so a paste doesn't leak them to the whole channel
+ * @param {Object} [options] - Settings
+ * @param {Array<{ label: string, pattern: RegExp }>} [options.patterns] - Extra patterns (global regexes) to mask
+ * @returns {Object} - The filter
+ */
+function createSecretRedactor(options = {}) {
+  const patterns = SECRET_PATTERNS.concat(options.patterns || []);
+
+  return {
+    name: "secrets",
+    run: (text) => {
+      let redacted = text;
+      patterns.forEach(({ label, pattern }) => {
+        redacted = redacted.replace(pattern, `[redacted ${label}]`);
+      });
+      return redacted === text ? undefined : { message: redacted };
+    },
+  };
+}
+
+/**
+ * Creates a filter for links to blocked sites
+ * A blocked domain also covers its subdomains ("example.com" blocks "www.example.com")
+ * @param {Object} options - Settings
+ * @param {string|string[]} options.domains - Blocked domains
+ * @param {string} [options.action] - "reject" (default) or "flag"
+ * @returns {Object} - The filter
+ */
+function createLinkBlocklist(options) {
+  const domains = toList(options.domains);
+  const action = options.action || "reject";
+
+  const isBlocked = (host) => domains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+
+  return {
+    name: "links",
+    run: (text) => {
+      const hosts = Array.from(text.matchAll(HOST_PATTERN), (match) => match[1].toLowerCase());
+      const blocked = hosts.find(isBlocked);
+      if (!blocked) {
+        return undefined;
+      }
+      return action === "flag"
+        ? { flag: `Links to ${blocked}` }
+        : { reject: `Links to ${blocked} aren't allowed here.` };
+    },
+  };
+}
+
+/**
+ * Creates the filter pipeline selected by the server configuration
+ * @param {Object} options - Settings
+ * @param {string|string[]} options.filters - Filter names in the order they run: "secrets", "profanity", "links"
+ * @param {string|string[]} [options.profanityWords] - Words for the profanity filter
+ * @param {string} [options.profanityAction] - "mask", "reject" or "flag"
+ * @param {string|string[]} [options.blockedDomains] - Domains for the link blocklist
+ * @param {string} [options.blockedLinkAction] - "reject" or "flag"
+ * @returns {MessageFilterPipeline} - The pipeline
+ */
+function createMessageFilters(options) {
+  const pipeline = new MessageFilterPipeline();
+
+  toList(options.filters).forEach((name) => {
+    switch (name) {
+      case "secrets":
+        pipeline.use(createSecretRedactor());
+        break;
+      case "profanity":
+        pipeline.use(createProfanityFilter({ words: options.profanityWords, action: options.profanityAction }));
+        break;
+      case "links":
+        pipeline.use(createLinkBlocklist({ domains: options.blockedDomains, action: options.blockedLinkAction }));
+        break;
+      default:
+        throw new Error(`Unknown message filter: ${name}`);
+    }
+  });
+
+  return pipeline;
+}
+
+module.exports = {
+  MessageFilterPipeline,
+  createProfanityFilter,
+  createSecretRedactor,
+  createLinkBlocklist,
+  createMessageFilters,
+};
@@ -0,0 +1,240 @@
+/**
+ * Message Store
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Persists chat messages so history survives server restarts and can be
+ * sent to users who join a room late.
+ *
+ * Thread replies carry a `threadId` (the parent message's ID). They are kept
+ * out of the room feed returned by getRecent/getBefore unless they were also
+ * sent to the channel (`alsoToChannel`).
+ *
+ * Every store implements the same async interface, so a different backend
+ * (a database, a remote service) can be dropped in without touching server.js:
+ * - append(message)            Save a message
+ * - getRecent(room, limit)     Newest `limit` messages in a room, oldest first
+ * - getBefore(room, id, limit) Up to `limit` messages older than message `id`, oldest first
+ * - get(room, id)              A single message, or null
+ * - getThread(room, id)        Replies to message `id`, oldest first
+ * - update(room, id, changes)  Merge `changes` into a message; resolves to the updated message or null
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("./logger");
+
+/**
+ * Keeps messages in memory only - history is lost when the server stops
+ */
+class MemoryMessageStore {
+  constructor() {
+    // Key: room name, Value: array of messages (oldest first)
+    this.rooms = new Map();
+
+    // Key: message ID, Value: message (same objects as in `rooms`)
+    this.byId = new Map();
+
+    // Key: parent message ID, Value: array of replies (oldest first)
+    this.threads = new Map();
+  }
+
+  /**
+   * Saves a message
+   * @param {Object} message - Message with at least { id, room, timestamp }
+   * @returns {Promise<Object>} - The saved message
+   */
+  async append(message) {
+    this.addToRoom(message);
+    return message;
+  }
+
+  /**
+   * Gets the newest messages in a room
+   * @param {string} room - Room name
+   * @param {number} limit - Maximum number of messages
+   * @returns {Promise<Object[]>} - Messages, oldest first
+   */
+  async getRecent(room, limit) {
+    const messages = this.rooms.get(room) || [];
+    return messages.slice(-limit);
+  }
+
+  /**
+   * Gets a page of messages older than a cursor message
+   * @param {string} room - Room name
+   * @param {string} beforeId - ID of the oldest message the client already has
+   * @param {number} limit - Maximum number of messages
+   * @returns {Promise<Object[]>} - Messages, oldest first (empty if the cursor is unknown)
+   */
+  async getBefore(room, beforeId, limit) {
+    const messages = this.rooms.get(room) || [];
+    const end = messages.findIndex((message) => message.id === beforeId);
+    if (end === -1) {
+      return [];
+    }
+    return messages.slice(Math.max(0, end - limit), end);
+  }
+
+  /**
+   * Gets a single message
+   * @param {string} room - Room name
+   * @param {string} id - Message ID
+   * @returns {Promise<Object|null>} - The message, or null if it isn't in that room
+   */
+  async get(room, id) {
+    const message = this.byId.get(id);
+    return message && message.room === room ? message : null;
+  }
+
+  /**
+   * Gets the replies in a message's thread
+   * @param {string} room - Room name
+   * @param {string} id - Parent message ID
+   * @returns {Promise<Object[]>} - Replies, oldest first
+   */
+  async getThread(room, id) {
+    const replies = this.threads.get(id) || [];
+    return replies.filter((reply) => reply.room === room);
+  }
+
+  /**
+   * Updates a message (used for edits and deletions)
+   * @param {string} room - Room name
+   * @param {string} id - Message ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object|null>} - The updated message, or null if not found
+   */
+  async update(room, id, changes) {
+    return this.applyUpdate(room, id, changes);
+  }
+
+  /**
+   * Merges changes into an indexed message
+   * @param {string} room - Room name
+   * @param {string} id - Message ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Object|null} - The updated message, or null if not found
+   */
+  applyUpdate(room, id, changes) {
+    const message = this.byId.get(id);
+    if (!message || message.room !== room) {
+      return null;
+    }
+    return Object.assign(message, changes);
+  }
+
+  /**
+   * Adds a message to the in-memory index for its room and thread
+   * @param {Object} message - The message
+   */
+  addToRoom(message) {
+    if (!message.threadId || message.alsoToChannel) {
+      if (!this.rooms.has(message.room)) {
+        this.rooms.set(message.room, []);
+      }
+      this.rooms.get(message.room).push(message);
+    }
+    if (message.threadId) {
+      if (!this.threads.has(message.threadId)) {
+        this.threads.set(message.threadId, []);
+      }
+      this.threads.get(message.threadId).push(message);
+    }
+    this.byId.set(message.id, message);
+  }
+}
+
+/**
+ * Appends messages to a JSON Lines file and replays it on startup
+ * Reads are served from memory, so the file is only touched on writes.
+ * Edits are appended as `{ op: "update", room, id, changes }` lines rather
+ * than rewriting the file.
+ */
+class FileMessageStore extends MemoryMessageStore {
+  /**
+   * @param {string} filePath - Path of the .jsonl file to write to
+   * @param {Object} [logger] - Where to report unreadable lines (defaults to the console)
+   */
+  constructor(filePath, logger) {
+    super();
+    this.filePath = filePath;
+    this.logger = logger || createLogger();
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.load();
+  }
+
+  /**
+   * Replays the message file into memory
+   * Lines that can't be parsed (e.g. a partial write during a crash) are skipped
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.filePath, "utf8").split("\n");
+    lines.forEach((line) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        const entry = JSON.parse(line);
+        if (entry.op === "update") {
+          this.applyUpdate(entry.room, entry.id, entry.changes);
+        } else {
+          this.addToRoom(entry);
+        }
+      } catch (err) {
+        this.logger.warn("STORE", "Skipping an unreadable line", { file: this.filePath });
+      }
+    });
+  }
+
+  /**
+   * Saves a message to memory and appends it to the file
+   * @param {Object} message - The message
+   * @returns {Promise<Object>} - The saved message
+   */
+  async append(message) {
+    fs.appendFileSync(this.filePath, JSON.stringify(message) + "\n");
+    return super.append(message);
+  }
+
+  /**
+   * Updates a message in memory and appends the change to the file
+   * @param {string} room - Room name
+   * @param {string} id - Message ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object|null>} - The updated message, or null if not found
+   */
+  async update(room, id, changes) {
+    const updated = this.applyUpdate(room, id, changes);
+    if (updated) {
+      fs.appendFileSync(this.filePath, JSON.stringify({ op: "update", room: room, id: id, changes: changes }) + "\n");
+    }
+    return updated;
+  }
+}
+
+/**
+ * Creates the message store selected by the server configuration
+ * @param {Object} options - { type: 'file' | 'memory', dataDir, logger? }
+ * @returns {MemoryMessageStore} - A store implementing the interface above
+ */
+function createMessageStore(options) {
+  switch (options.type) {
+    case "memory":
+      return new MemoryMessageStore();
+    case "file":
+      return new FileMessageStore(path.join(options.dataDir, "messages.jsonl"), options.logger);
+    default:
+      throw new Error(`Unknown message store type: ${options.type}`);
+  }
+}
+
+module.exports = {
+  MemoryMessageStore,
+  FileMessageStore,
+  createMessageStore,
+};
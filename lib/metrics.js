@@ -0,0 +1,329 @@
+/**
+ * Metrics
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * A small metrics registry that renders the Prometheus text exposition
+ * format, so the server can be scraped without extra dependencies.
+ *
+ * Three kinds of metric are supported, each with optional labels:
+ * - Counter    A total that only goes up (e.g. messages sent)
+ * - Gauge      A value that goes up and down; can be computed at scrape time
+ * - Histogram  Counts of observations in buckets (e.g. handler latency)
+ */
+
+// Latency buckets in seconds, from 1 ms to 5 s
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+/**
+ * Escapes a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+/**
+ * Formats a set of labels, e.g. {event="chat-message"}
+ * @param {Object} labels - Label names and values
+ * @returns {string} - Formatted labels, or "" if there are none
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Formats a sample value (Prometheus spells infinity "+Inf")
+ * @param {number} value - Sample value
+ * @returns {string} - Formatted value
+ */
+function formatValue(value) {
+  return value === Infinity ? "+Inf" : String(value);
+}
+
+/**
+ * Shared behavior of all metric types: a name, help text and one series per label combination
+ */
+class Metric {
+  /**
+   * @param {Object} options - { name, help, labelNames }
+   * @param {string} type - Prometheus type ("counter", "gauge" or "histogram")
+   */
+  constructor(options, type) {
+    this.name = options.name;
+    this.help = options.help;
+    this.labelNames = options.labelNames || [];
+    this.type = type;
+
+    // Key: JSON of the label values, Value: { labels, ...series data }
+    this.series = new Map();
+  }
+
+  /**
+   * Gets (or creates) the series for a set of labels
+   * @param {Object} labels - Label values
+   * @param {Function} create - Makes the initial series data
+   * @returns {Object} - The series
+   */
+  getSeries(labels, create) {
+    const key = JSON.stringify(this.labelNames.map((name) => labels[name]));
+    if (!this.series.has(key)) {
+      const picked = {};
+      this.labelNames.forEach((name) => {
+        picked[name] = labels[name] === undefined ? "" : labels[name];
+      });
+      this.series.set(key, Object.assign({ labels: picked }, create()));
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Renders the HELP and TYPE header lines
+   * @returns {string[]} - Header lines
+   */
+  header() {
+    const help = this.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+    return [`# HELP ${this.name} ${help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+/**
+ * A total that only increases
+ */
+class Counter extends Metric {
+  constructor(options) {
+    super(options, "counter");
+  }
+
+  /**
+   * Adds to the counter
+   * @param {Object} [labels] - Label values
+   * @param {number} [amount] - How much to add (default 1)
+   */
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  /**
+   * Renders the counter
+   * @returns {string[]} - Exposition lines
+   */
+  render() {
+    const lines = this.header();
+    this.series.forEach((series) => {
+      lines.push(`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * A value that can go up and down
+ * Pass `collect` to compute the value(s) when the metrics are scraped instead of setting them
+ */
+class Gauge extends Metric {
+  /**
+   * @param {Object} options - { name, help, labelNames, collect }
+   * @param {Function} [options.collect] - Returns a number, or [{ labels, value }] for labelled gauges
+   */
+  constructor(options) {
+    super(options, "gauge");
+    this.collect = options.collect;
+  }
+
+  /**
+   * Sets the gauge
+   * @param {Object} labels - Label values
+   * @param {number} value - New value
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  /**
+   * Renders the gauge
+   * @returns {string[]} - Exposition lines
+   */
+  render() {
+    if (this.collect) {
+      const collected = this.collect();
+      this.series.clear();
+      (typeof collected === "number" ? [{ labels: {}, value: collected }] : collected).forEach((sample) => {
+        this.set(sample.labels, sample.value);
+      });
+    }
+
+    const lines = this.header();
+    this.series.forEach((series) => {
+      lines.push(`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Counts observations in cumulative buckets
+ */
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - { name, help, labelNames, buckets }
+   * @param {number[]} [options.buckets] - Upper bounds, in increasing order (default: 1 ms to 5 s)
+   */
+  constructor(options) {
+    super(options, "histogram");
+    this.buckets = options.buckets || DEFAULT_BUCKETS;
+  }
+
+  /**
+   * Records an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value (seconds, for latencies)
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Starts timing something
+   * @param {Object} labels - Label values
+   * @returns {Function} - Call it when done to record the elapsed seconds
+   */
+  startTimer(labels) {
+    const start = process.hrtime.bigint();
+    return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  /**
+   * Renders the histogram
+   * @returns {string[]} - Exposition lines
+   */
+  render() {
+    const lines = this.header();
+    this.series.forEach((series) => {
+      this.buckets.forEach((bound, index) => {
+        const labels = Object.assign({}, series.labels, { le: formatValue(bound) });
+        lines.push(`${this.name}_bucket${formatLabels(labels)} ${series.counts[index]}`);
+      });
+      const infLabels = Object.assign({}, series.labels, { le: "+Inf" });
+      lines.push(`${this.name}_bucket${formatLabels(infLabels)} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Holds every metric and renders them together
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * Creates and registers a counter
+   * @param {Object} options - { name, help, labelNames }
+   * @returns {Counter} - The counter
+   */
+  counter(options) {
+    return this.add(new Counter(options));
+  }
+
+  /**
+   * Creates and registers a gauge
+   * @param {Object} options - { name, help, labelNames, collect }
+   * @returns {Gauge} - The gauge
+   */
+  gauge(options) {
+    return this.add(new Gauge(options));
+  }
+
+  /**
+   * Creates and registers a histogram
+   * @param {Object} options - { name, help, labelNames, buckets }
+   * @returns {Histogram} - The histogram
+   */
+  histogram(options) {
+    return this.add(new Histogram(options));
+  }
+
+  /**
+   * Registers a metric
+   * @param {Metric} metric - The metric
+   * @returns {Metric} - The same metric
+   * @throws {Error} - If a metric with that name already exists
+   */
+  add(metric) {
+    if (this.metrics.some((existing) => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Renders every metric in the Prometheus text format
+   * @returns {string} - Exposition text
+   */
+  render() {
+    return this.metrics.map((metric) => metric.render().join("\n")).join("\n") + "\n";
+  }
+}
+
+/**
+ * Counts events in a sliding window to report a per-second rate
+ */
+class RateWindow {
+  /**
+   * @param {number} windowMs - How far back to look
+   */
+  constructor(windowMs) {
+    this.windowMs = windowMs;
+    this.timestamps = [];
+  }
+
+  /**
+   * Records one event
+   */
+  record() {
+    this.timestamps.push(Date.now());
+    this.prune();
+  }
+
+  /**
+   * Drops events older than the window
+   */
+  prune() {
+    const cutoff = Date.now() - this.windowMs;
+    while (this.timestamps.length > 0 && this.timestamps[0] <= cutoff) {
+      this.timestamps.shift();
+    }
+  }
+
+  /**
+   * Average events per second over the window
+   * @returns {number} - Rate
+   */
+  perSecond() {
+    this.prune();
+    return this.timestamps.length / (this.windowMs / 1000);
+  }
+}
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  RateWindow,
+  DEFAULT_BUCKETS,
+};
@@ -0,0 +1,253 @@
+/**
+ * Moderation
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Roles, bans and mutes. Roles are given to registered accounts in the
+ * server configuration; moderators can kick, mute and ban, and admins can
+ * also do so to moderators. Bans (by username or IP address) are saved to a
+ * JSON file so they survive restarts. Mutes are temporary and kept in memory.
+ */
+
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+
+// Higher ranks can moderate lower ones
+const ROLE_RANKS = {
+  user: 0,
+  moderator: 1,
+  admin: 2,
+};
+
+// Units accepted in mute durations ("30s", "10m", "2h", "1d")
+const DURATION_UNITS_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+const DURATION_PATTERN = /^(\d+)([smhd]?)$/i;
+
+/**
+ * Checks whether a role includes the permissions of another
+ * @param {string} role - The user's role
+ * @param {string} required - The role needed
+ * @returns {boolean} - True if the role ranks at least as high
+ */
+function hasRole(role, required) {
+  return (ROLE_RANKS[role] || 0) >= ROLE_RANKS[required];
+}
+
+/**
+ * Parses a list of usernames from the configuration
+ * @param {string|string[]} value - e.g. "Alice, Bob" or ["Alice", "Bob"]
+ * @returns {Set<string>} - Lowercase usernames
+ */
+function parseNameList(value) {
+  const names = Array.isArray(value) ? value : String(value || "").split(",");
+  return new Set(names.map((name) => String(name).trim().toLowerCase()).filter(Boolean));
+}
+
+/**
+ * Normalizes a socket address so IPv4 clients on a dual-stack server
+ * ("::ffff:203.0.113.5") match bans on the plain address
+ * @param {string} address - Remote address
+ * @returns {string} - Normalized address
+ */
+function normalizeIp(address) {
+  const value = String(address || "").trim().toLowerCase();
+  return value.startsWith("::ffff:") && net.isIPv4(value.slice(7)) ? value.slice(7) : value;
+}
+
+/**
+ * Parses a mute duration such as "10m"; a bare number means minutes
+ * @param {string} text - Duration text
+ * @returns {number|null} - Duration in ms, or null if it can't be parsed
+ */
+function parseDuration(text) {
+  const match = DURATION_PATTERN.exec(String(text || ""));
+  if (!match || Number(match[1]) === 0) {
+    return null;
+  }
+  return Number(match[1]) * DURATION_UNITS_MS[(match[2] || "m").toLowerCase()];
+}
+
+/**
+ * Formats a duration for system messages
+ * @param {number} ms - Duration in ms
+ * @returns {string} - e.g. "10 minutes"
+ */
+function formatDuration(ms) {
+  const units = [
+    ["day", DURATION_UNITS_MS.d],
+    ["hour", DURATION_UNITS_MS.h],
+    ["minute", DURATION_UNITS_MS.m],
+    ["second", DURATION_UNITS_MS.s],
+  ];
+  const [unit, size] = units.find(([, unitMs]) => ms >= unitMs && ms % unitMs === 0) || units[units.length - 1];
+  const count = Math.round(ms / size);
+  return `${count} ${unit}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * File-backed ban list
+ * Bans are keyed by "user:<lowercase name>" or "ip:<address>"
+ */
+class BanList {
+  /**
+   * @param {string} filePath - Path of the bans JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.bans = new Map();
+
+    if (fs.existsSync(filePath)) {
+      const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      Object.entries(saved).forEach(([key, ban]) => this.bans.set(key, ban));
+    }
+  }
+
+  /**
+   * Builds the key a ban is stored under
+   * @param {string} type - "user" or "ip"
+   * @param {string} value - Username or IP address
+   * @returns {string} - Ban key
+   */
+  static key(type, value) {
+    return type === "ip" ? `ip:${normalizeIp(value)}` : `user:${value.toLowerCase()}`;
+  }
+
+  /**
+   * Writes all bans back to disk
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.bans), null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Bans a username or IP address (replacing any existing ban on it)
+   * @param {Object} ban - { type: "user" | "ip", value, reason, bannedBy }
+   * @returns {Object} - The saved ban
+   */
+  add(ban) {
+    const saved = {
+      type: ban.type,
+      value: ban.type === "ip" ? normalizeIp(ban.value) : ban.value,
+      reason: ban.reason || "",
+      bannedBy: ban.bannedBy,
+      bannedAt: new Date().toISOString(),
+    };
+    this.bans.set(BanList.key(ban.type, ban.value), saved);
+    this.save();
+    return saved;
+  }
+
+  /**
+   * Lifts a ban
+   * @param {string} type - "user" or "ip"
+   * @param {string} value - Username or IP address
+   * @returns {Object|null} - The removed ban, or null if there wasn't one
+   */
+  remove(type, value) {
+    const key = BanList.key(type, value);
+    const ban = this.bans.get(key);
+    if (!ban) {
+      return null;
+    }
+    this.bans.delete(key);
+    this.save();
+    return ban;
+  }
+
+  /**
+   * Finds a ban that applies to a user or connection
+   * @param {Object} who - { username?, ip? }
+   * @returns {Object|null} - The matching ban, or null if neither is banned
+   */
+  find(who) {
+    return (
+      (who.username && this.bans.get(BanList.key("user", who.username))) ||
+      (who.ip && this.bans.get(BanList.key("ip", who.ip))) ||
+      null
+    );
+  }
+}
+
+/**
+ * Temporary mutes, keyed by lowercase username
+ * Expired mutes are dropped when they are next looked up
+ */
+class MuteList {
+  constructor() {
+    // Key: who is muted (e.g. an account or chat session, not a display name someone else could take)
+    // Value: { key, username, until, reason, mutedBy }
+    this.mutes = new Map();
+  }
+
+  /**
+   * Mutes a user for a while (replacing any existing mute)
+   * @param {string} key - Identifies the user
+   * @param {string} username - Name the user was muted under (for /unmute and messages)
+   * @param {number} durationMs - Mute length
+   * @param {Object} info - { reason, mutedBy }
+   * @returns {Object} - The mute
+   */
+  add(key, username, durationMs, info) {
+    const mute = {
+      key: key,
+      username: username,
+      until: Date.now() + durationMs,
+      reason: info.reason || "",
+      mutedBy: info.mutedBy,
+    };
+    this.mutes.set(key, mute);
+    return mute;
+  }
+
+  /**
+   * Lifts a mute early
+   * @param {string} key - Identifies the user
+   * @returns {boolean} - True if the user was muted
+   */
+  remove(key) {
+    return Boolean(this.get(key)) && this.mutes.delete(key);
+  }
+
+  /**
+   * Looks up a user's active mute
+   * @param {string} key - Identifies the user
+   * @returns {Object|null} - The mute, or null if the user isn't muted
+   */
+  get(key) {
+    const mute = this.mutes.get(key);
+    if (mute && mute.until <= Date.now()) {
+      this.mutes.delete(key);
+      return null;
+    }
+    return mute || null;
+  }
+
+  /**
+   * Finds an active mute by the name the user was muted under (case-insensitive)
+   * @param {string} username - Username
+   * @returns {Object|null} - The mute, or null if nobody by that name is muted
+   */
+  findByName(username) {
+    const lowerUsername = username.toLowerCase();
+    const mute = Array.from(this.mutes.values()).find((entry) => entry.username.toLowerCase() === lowerUsername);
+    return mute ? this.get(mute.key) : null;
+  }
+}
+
+module.exports = {
+  ROLE_RANKS,
+  hasRole,
+  parseNameList,
+  normalizeIp,
+  parseDuration,
+  formatDuration,
+  BanList,
+  MuteList,
+};
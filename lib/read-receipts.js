@@ -0,0 +1,53 @@
+/**
+ * Read Receipts
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Remembers who has seen each channel message. Receipts are kept in memory
+ * instead of the message store: every reader of every message would
+ * otherwise add an update line to the history file, which grows with
+ * messages x readers and is never compacted. Receipts are lost when the
+ * server restarts; messages and everything else about them are not.
+ */
+
+class ReadReceipts {
+  constructor() {
+    // Key: message ID, Value: Map of reader key -> username (in the order they saw it)
+    this.messages = new Map();
+  }
+
+  /**
+   * Records that a reader has seen a message
+   * @param {string} messageId - Message ID
+   * @param {string} readerKey - Identifies the reader (the same reader is only counted once)
+   * @param {string} username - Name shown for the reader
+   * @returns {boolean} - True if this is the reader's first receipt for the message
+   */
+  add(messageId, readerKey, username) {
+    if (!this.messages.has(messageId)) {
+      this.messages.set(messageId, new Map());
+    }
+    const readers = this.messages.get(messageId);
+    if (readers.has(readerKey)) {
+      return false;
+    }
+    readers.set(readerKey, username);
+    return true;
+  }
+
+  /**
+   * Lists who has seen a message
+   * @param {string} messageId - Message ID
+   * @returns {Object[]} - { readerKey, username }, in the order they saw it
+   */
+  list(messageId) {
+    const readers = this.messages.get(messageId);
+    if (!readers) {
+      return [];
+    }
+    return Array.from(readers, ([readerKey, username]) => ({ readerKey: readerKey, username: username }));
+  }
+}
+
+module.exports = {
+  ReadReceipts,
+};
@@ -0,0 +1,96 @@
+/**
+ * Signed Session Tokens
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Tokens are `<payload>.<signature>` where the payload is base64url JSON and
+ * the signature is an HMAC-SHA256 of the payload. They can't be forged or
+ * altered without the server's secret, so the server doesn't need to keep a
+ * list of issued tokens.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Loads the signing secret, creating and saving a random one on first run
+ * Saving it means tokens stay valid across server restarts
+ * @param {string} dataDir - Directory the secret file is kept in
+ * @returns {string} - The secret
+ */
+function loadSecret(dataDir) {
+  const secretPath = path.join(dataDir, "session-secret");
+
+  if (fs.existsSync(secretPath)) {
+    return fs.readFileSync(secretPath, "utf8").trim();
+  }
+
+  const secret = crypto.randomBytes(32).toString("hex");
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+  return secret;
+}
+
+/**
+ * Creates a signer bound to one secret
+ * @param {string} secret - HMAC secret
+ * @returns {{ sign: Function, verify: Function }} - Token helpers
+ */
+function createTokenSigner(secret) {
+  /**
+   * Computes the signature of an encoded payload
+   * @param {string} encoded - base64url payload
+   * @returns {string} - base64url signature
+   */
+  function signature(encoded) {
+    return crypto.createHmac("sha256", secret).update(encoded).digest("base64url");
+  }
+
+  return {
+    /**
+     * Signs a payload
+     * @param {Object} payload - Data to carry in the token
+     * @param {number} ttlMs - How long the token stays valid
+     * @returns {string} - The token
+     */
+    sign(payload, ttlMs) {
+      const body = Object.assign({}, payload, { exp: Date.now() + ttlMs });
+      const encoded = Buffer.from(JSON.stringify(body)).toString("base64url");
+      return `${encoded}.${signature(encoded)}`;
+    },
+
+    /**
+     * Verifies a token and returns its payload
+     * @param {string} token - Token from the client
+     * @returns {Object|null} - Payload, or null if forged, malformed or expired
+     */
+    verify(token) {
+      if (typeof token !== "string") {
+        return null;
+      }
+
+      const [encoded, sig] = token.split(".");
+      if (!encoded || !sig) {
+        return null;
+      }
+
+      const expected = Buffer.from(signature(encoded));
+      const actual = Buffer.from(sig);
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+      }
+
+      try {
+        const payload = JSON.parse(Buffer.from(encoded, "base64url").toString("utf8"));
+        return payload.exp > Date.now() ? payload : null;
+      } catch (err) {
+        return null;
+      }
+    },
+  };
+}
+
+module.exports = {
+  loadSecret,
+  createTokenSigner,
+};
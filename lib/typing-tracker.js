@@ -0,0 +1,89 @@
+/**
+ * Typing Tracker
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Keeps the set of users typing in each room. Every "typing" signal starts
+ * (or restarts) an expiry timer, so a user whose client vanishes without
+ * sending "stop-typing" drops out on their own. The onChange callback fires
+ * with the full list whenever a room's set changes, which lets clients
+ * simply replace what they show.
+ */
+
+class TypingTracker {
+  /**
+   * @param {Object} options - Settings
+   * @param {number} options.expireAfterMs - How long a typing signal lasts without being refreshed
+   * @param {Function} options.onChange - Called with (room, usernames) when a room's typers change
+   */
+  constructor(options) {
+    this.expireAfterMs = options.expireAfterMs;
+    this.onChange = options.onChange;
+
+    // Key: room name, Value: Map of username -> expiry timeout
+    this.rooms = new Map();
+  }
+
+  /**
+   * Lists the users typing in a room
+   * @param {string} room - Room name
+   * @returns {string[]} - Usernames, in the order they started typing
+   */
+  list(room) {
+    const typers = this.rooms.get(room);
+    return typers ? Array.from(typers.keys()) : [];
+  }
+
+  /**
+   * Marks a user as typing, or extends their expiry if they already are
+   * @param {string} room - Room name
+   * @param {string} username - Username
+   */
+  start(room, username) {
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, new Map());
+    }
+    const typers = this.rooms.get(room);
+    const isNew = !typers.has(username);
+
+    clearTimeout(typers.get(username));
+    const timer = setTimeout(() => this.stop(room, username), this.expireAfterMs);
+    timer.unref();
+    typers.set(username, timer);
+
+    if (isNew) {
+      this.onChange(room, this.list(room));
+    }
+  }
+
+  /**
+   * Marks a user as no longer typing in a room
+   * @param {string} room - Room name
+   * @param {string} username - Username
+   */
+  stop(room, username) {
+    const typers = this.rooms.get(room);
+    if (!typers || !typers.has(username)) {
+      return;
+    }
+
+    clearTimeout(typers.get(username));
+    typers.delete(username);
+    if (typers.size === 0) {
+      this.rooms.delete(room);
+    }
+
+    this.onChange(room, this.list(room));
+  }
+
+  /**
+   * Marks a user as no longer typing anywhere (e.g. when they disconnect)
+   * @param {string} username - Username
+   */
+  stopAll(username) {
+    Array.from(this.rooms.keys()).forEach((room) => this.stop(room, username));
+  }
+}
+
+module.exports = {
+  TypingTracker,
+};
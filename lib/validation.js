@@ -0,0 +1,292 @@
+/**
+ * Socket Event Payload Validation
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Every event a client can emit has a schema here. server.js runs each
+ * incoming packet through validateEvent() before any handler sees it, so
+ * handlers can rely on payloads having the right types, lengths and
+ * characters. Unknown events are rejected too.
+ *
+ * Schemas are plain objects:
+ * - { type: "none" }                      Event carries no payload
+ * - { type: "string", label, trim, lowercase, minLength, maxLength, pattern, patternMessage }
+ * - { type: "boolean", label }
+ * - { type: "array", label, items: <string schema>, minItems, maxItems }
+ * - { type: "object", fields: { name: <string, boolean or array schema> } }
+ *
+ * Object fields are required unless their schema has `optional: true`.
+ */
+
+// Letters (any language), digits, spaces, underscores, dots and dashes
+const USERNAME_PATTERN = /^[\p{L}\p{N}_. -]+$/u;
+
+// Lowercase letters, digits and dashes, starting with a letter or digit
+const ROOM_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// A single emoji, including skin tones, flags and joined (ZWJ) sequences
+const EMOJI_PATTERN = /^(?=.*(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3))(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|\u200D|\uFE0F|\u20E3|[#*0-9])+$/u;
+
+// Anything except control characters (tabs and newlines are allowed)
+const TEXT_PATTERN = /^[^\u0000-\u0008\u000B-\u001F\u007F]*$/;
+
+// Shared field rules
+const USERNAME = {
+  type: "string",
+  label: "Username",
+  trim: true,
+  minLength: 2,
+  maxLength: 20,
+  pattern: USERNAME_PATTERN,
+  patternMessage: "Username may only contain letters, numbers, spaces, dots, dashes and underscores",
+};
+
+const ROOM_NAME = {
+  type: "string",
+  label: "Room name",
+  trim: true,
+  lowercase: true,
+  minLength: 2,
+  maxLength: 24,
+  pattern: ROOM_NAME_PATTERN,
+  patternMessage: "Room names may only contain letters, numbers and dashes",
+};
+
+const MESSAGE = {
+  type: "string",
+  label: "Message",
+  trim: true,
+  minLength: 1,
+  maxLength: 500,
+  pattern: TEXT_PATTERN,
+  patternMessage: "Message contains invalid characters",
+};
+
+// Message text that may be left empty when files are attached
+const CAPTION = Object.assign({}, MESSAGE, { minLength: 0 });
+
+const PASSWORD = {
+  type: "string",
+  label: "Password",
+  minLength: 1,
+  maxLength: 128,
+};
+
+const MESSAGE_ID = {
+  type: "string",
+  label: "Message ID",
+  minLength: 1,
+  maxLength: 100,
+};
+
+const EMOJI = {
+  type: "string",
+  label: "Reaction",
+  minLength: 1,
+  maxLength: 16,
+  pattern: EMOJI_PATTERN,
+  patternMessage: "Reactions must be an emoji",
+};
+
+const THREAD_ID = Object.assign({}, MESSAGE_ID, { label: "Thread", optional: true });
+
+// Chosen by the client so a retried send can be recognized
+const CLIENT_MESSAGE_ID = Object.assign({}, MESSAGE_ID, { label: "Client message ID", optional: true });
+
+const ALSO_TO_CHANNEL = { type: "boolean", label: "Also send to channel", optional: true };
+
+const MESSAGE_IDS = { type: "array", label: "Message IDs", items: MESSAGE_ID, minItems: 1, maxItems: 50 };
+
+const ATTACHMENT_ID = Object.assign({}, MESSAGE_ID, { label: "Attachment" });
+
+const ATTACHMENT_IDS = {
+  type: "array",
+  label: "Attachments",
+  items: ATTACHMENT_ID,
+  minItems: 1,
+  maxItems: 4,
+  optional: true,
+};
+
+// Schema for every client event
+const EVENT_SCHEMAS = {
+  "user-join": USERNAME,
+  "change-username": USERNAME,
+  register: { type: "object", fields: { username: USERNAME, password: PASSWORD } },
+  login: { type: "object", fields: { username: USERNAME, password: PASSWORD } },
+  "list-rooms": { type: "none" },
+  "create-room": ROOM_NAME,
+  "join-room": ROOM_NAME,
+  "leave-room": ROOM_NAME,
+  "load-history": { type: "object", fields: { room: ROOM_NAME, before: MESSAGE_ID } },
+  "chat-message": {
+    type: "object",
+    fields: {
+      room: ROOM_NAME,
+      message: CAPTION,
+      threadId: THREAD_ID,
+      alsoToChannel: ALSO_TO_CHANNEL,
+      attachments: ATTACHMENT_IDS,
+      clientMessageId: CLIENT_MESSAGE_ID,
+    },
+  },
+  "private-message": {
+    type: "object",
+    fields: { to: USERNAME, message: CAPTION, attachments: ATTACHMENT_IDS, clientMessageId: CLIENT_MESSAGE_ID },
+  },
+  "edit-message": { type: "object", fields: { room: ROOM_NAME, id: MESSAGE_ID, message: MESSAGE } },
+  "delete-message": { type: "object", fields: { room: ROOM_NAME, id: MESSAGE_ID } },
+  "load-thread": { type: "object", fields: { room: ROOM_NAME, id: MESSAGE_ID } },
+  "mark-seen": { type: "object", fields: { room: ROOM_NAME, ids: MESSAGE_IDS } },
+  "add-reaction": { type: "object", fields: { room: ROOM_NAME, id: MESSAGE_ID, emoji: EMOJI } },
+  "remove-reaction": { type: "object", fields: { room: ROOM_NAME, id: MESSAGE_ID, emoji: EMOJI } },
+  typing: ROOM_NAME,
+  "stop-typing": ROOM_NAME,
+};
+
+// Schema for the JSON body of each HTTP endpoint
+const HTTP_SCHEMAS = {
+  "incoming-webhook": { type: "object", fields: { room: ROOM_NAME, message: MESSAGE } },
+  "api-room-messages": {
+    type: "object",
+    fields: { room: ROOM_NAME, before: Object.assign({}, MESSAGE_ID, { label: "before", optional: true }) },
+  },
+};
+
+/**
+ * Validates and normalizes a string value
+ * @param {*} value - Raw value from the client
+ * @param {Object} rules - String schema
+ * @returns {{ value: string } | { error: string }} - Normalized value or error
+ */
+function validateString(value, rules) {
+  if (typeof value !== "string") {
+    return { error: `${rules.label} must be text` };
+  }
+
+  let normalized = rules.trim ? value.trim() : value;
+  if (rules.lowercase) {
+    normalized = normalized.toLowerCase();
+  }
+
+  if (rules.minLength !== undefined && normalized.length < rules.minLength) {
+    return {
+      error: rules.minLength === 1 ? `${rules.label} cannot be empty` : `${rules.label} must be at least ${rules.minLength} characters`,
+    };
+  }
+  if (rules.maxLength !== undefined && normalized.length > rules.maxLength) {
+    return { error: `${rules.label} must be ${rules.maxLength} characters or less` };
+  }
+  if (rules.pattern && !rules.pattern.test(normalized)) {
+    return { error: rules.patternMessage };
+  }
+
+  return { value: normalized };
+}
+
+/**
+ * Validates a boolean value
+ * @param {*} value - Raw value from the client
+ * @param {Object} rules - Boolean schema
+ * @returns {{ value: boolean } | { error: string }} - Value or error
+ */
+function validateBoolean(value, rules) {
+  if (typeof value !== "boolean") {
+    return { error: `${rules.label} must be true or false` };
+  }
+  return { value: value };
+}
+
+/**
+ * Validates a list of values that all follow the same schema
+ * @param {*} value - Raw value from the client
+ * @param {Object} rules - Array schema
+ * @returns {{ value: Array } | { error: string }} - Normalized values or error
+ */
+function validateArray(value, rules) {
+  if (!Array.isArray(value)) {
+    return { error: `${rules.label} must be a list` };
+  }
+  if (value.length < rules.minItems) {
+    return { error: `${rules.label} cannot be empty` };
+  }
+  if (value.length > rules.maxItems) {
+    return { error: `${rules.label} can have at most ${rules.maxItems} entries` };
+  }
+
+  const items = [];
+  for (const item of value) {
+    const result = validatePayload(item, rules.items);
+    if (result.error) {
+      return { error: result.error };
+    }
+    items.push(result.value);
+  }
+  return { value: items };
+}
+
+/**
+ * Validates a payload against a schema
+ * @param {*} payload - Raw payload from the client
+ * @param {Object} schema - Event schema
+ * @returns {{ value: * } | { error: string, field?: string }} - Normalized payload or error
+ */
+function validatePayload(payload, schema) {
+  switch (schema.type) {
+    case "none":
+      return { value: undefined };
+
+    case "string":
+      return validateString(payload, schema);
+
+    case "boolean":
+      return validateBoolean(payload, schema);
+
+    case "array":
+      return validateArray(payload, schema);
+
+    case "object": {
+      if (typeof payload !== "object" || payload === null || Array.isArray(payload)) {
+        return { error: "Payload must be an object" };
+      }
+
+      const value = {};
+      for (const [field, rules] of Object.entries(schema.fields)) {
+        if (rules.optional && payload[field] === undefined) {
+          continue;
+        }
+        const result = validatePayload(payload[field], rules);
+        if (result.error) {
+          return { error: result.error, field: field };
+        }
+        value[field] = result.value;
+      }
+      return { value: value };
+    }
+
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+}
+
+/**
+ * Validates the payload of an incoming socket event
+ * @param {string} event - Event name
+ * @param {*} payload - First event argument
+ * @returns {{ value: * } | { error: string, field?: string }} - Normalized payload or error
+ */
+function validateEvent(event, payload) {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) {
+    return { error: `Unknown event: ${event}` };
+  }
+  return validatePayload(payload, schema);
+}
+
+module.exports = {
+  EVENT_SCHEMAS,
+  HTTP_SCHEMAS,
+  USERNAME_PATTERN,
+  ROOM_NAME_PATTERN,
+  validateEvent,
+  validatePayload,
+};
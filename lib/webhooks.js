@@ -0,0 +1,265 @@
+/**
+ * Webhooks
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Lets other systems talk to the chat over plain HTTP.
+ *
+ * Incoming webhooks give a bot (a CI server, an alerting system) a secret
+ * token it can use to post messages into rooms.
+ *
+ * Outgoing webhooks POST channel messages that match a room and/or keyword
+ * to a URL. Every delivery is signed with HMAC-SHA256 so the receiver can
+ * check it came from this server, and failed deliveries are retried with
+ * increasing delays.
+ *
+ * Hooks are read from a JSON file:
+ *   {
+ *     "incoming": [{ "name": "CI", "token": "...", "rooms": ["builds"] }],
+ *     "outgoing": [{ "url": "https://...", "secret": "...", "rooms": ["general"], "keywords": ["deploy"] }]
+ *   }
+ * `rooms` and `keywords` are optional; leaving them out matches every room
+ * or every message.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ConfigError } = require("./config");
+const { createLogger } = require("./logger");
+const { EVENT_SCHEMAS, validatePayload } = require("./validation");
+
+// Header carrying "sha256=<hex HMAC of '<timestamp>.<body>'>"
+const SIGNATURE_HEADER = "X-Webhook-Signature";
+
+// Header carrying the delivery time (seconds since the epoch) that was signed
+const TIMESTAMP_HEADER = "X-Webhook-Timestamp";
+
+// Shortest token or secret accepted, so hooks can't be set up with guessable ones
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Signs a delivery
+ * The timestamp is part of the signed text, so an old delivery can't be replayed with a new time
+ * @param {string} secret - The hook's shared secret
+ * @param {number} timestamp - Delivery time in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} - Signature header value ("sha256=...")
+ */
+function signPayload(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Checks a delivery's signature in constant time (for receivers and tests)
+ * @param {string} secret - The hook's shared secret
+ * @param {number|string} timestamp - Value of the timestamp header
+ * @param {string} body - Raw request body
+ * @param {string} signature - Value of the signature header
+ * @returns {boolean} - True if the signature matches
+ */
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature || ""));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Turns an optional list setting into lowercase entries
+ * @param {string[]|undefined} value - List from the config file
+ * @returns {string[]} - Lowercase entries (empty means "match everything")
+ */
+function toLowerList(value) {
+  return (Array.isArray(value) ? value : []).map((entry) => String(entry).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Reads and checks the webhook configuration
+ * Like the other settings, every problem in the file is reported at once
+ * @param {string} filePath - Path of the webhooks JSON file
+ * @returns {{ incoming: Object[], outgoing: Object[] }} - Hooks (none if the file doesn't exist)
+ * @throws {ConfigError} - If the file isn't valid JSON or a hook is missing its name, token, URL or secret
+ */
+function loadWebhookConfig(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { incoming: [], outgoing: [] };
+  }
+
+  const fileName = path.basename(filePath);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new ConfigError([`${fileName}: isn't valid JSON (${err.message})`]);
+  }
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new ConfigError([`${fileName}: must contain a JSON object`]);
+  }
+
+  const problems = [];
+  const listOf = (key) => {
+    if (config[key] !== undefined && !Array.isArray(config[key])) {
+      problems.push(`${fileName}: "${key}" must be a list`);
+    }
+    return Array.isArray(config[key]) ? config[key] : [];
+  };
+
+  const incoming = listOf("incoming").map((hook, index) => {
+    const where = `${fileName}: incoming webhook ${index + 1}`;
+    const entry = hook && typeof hook === "object" ? hook : {};
+    // Bots post under their name, so it follows the same rules as usernames
+    const name = validatePayload(entry.name, EVENT_SCHEMAS["user-join"]);
+    if (name.error) {
+      problems.push(`${where}: ${name.error}`);
+    }
+    if (typeof entry.token !== "string" || entry.token.length < MIN_SECRET_LENGTH) {
+      problems.push(`${where} needs a token of at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    return { name: name.value, token: entry.token, rooms: toLowerList(entry.rooms) };
+  });
+
+  const outgoing = listOf("outgoing").map((hook, index) => {
+    const where = `${fileName}: outgoing webhook ${index + 1}`;
+    const entry = hook && typeof hook === "object" ? hook : {};
+    if (!/^https?:\/\//.test(entry.url || "")) {
+      problems.push(`${where} needs an http:// or https:// URL`);
+    }
+    if (typeof entry.secret !== "string" || entry.secret.length < MIN_SECRET_LENGTH) {
+      problems.push(`${where} needs a secret of at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    return {
+      url: entry.url,
+      secret: entry.secret,
+      rooms: toLowerList(entry.rooms),
+      keywords: toLowerList(entry.keywords),
+    };
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return { incoming: incoming, outgoing: outgoing };
+}
+
+/**
+ * Finds the incoming hook a token belongs to
+ * Tokens are compared as hashes so the comparison takes the same time whatever the input
+ * @param {Object[]} hooks - Incoming hooks
+ * @param {string} token - Token from the request
+ * @returns {Object|null} - The hook, or null if the token is unknown
+ */
+function findIncomingHook(hooks, token) {
+  const hash = (value) => crypto.createHash("sha256").update(value).digest();
+  const digest = hash(String(token || ""));
+  return hooks.find((hook) => crypto.timingSafeEqual(hash(hook.token), digest)) || null;
+}
+
+/**
+ * Sends channel messages to the outgoing hooks that want them
+ */
+class WebhookDispatcher {
+  /**
+   * @param {Object} options - Settings
+   * @param {Object[]} options.hooks - Outgoing hooks from loadWebhookConfig()
+   * @param {number[]} options.retryDelaysMs - Wait before each retry; its length is the number of retries
+   * @param {number} options.timeoutMs - How long to wait for the receiver to answer
+   * @param {Function} [options.fetch] - HTTP client (defaults to the global fetch)
+   * @param {Object} [options.logger] - Where to report failed deliveries (defaults to the console)
+   */
+  constructor(options) {
+    this.hooks = options.hooks;
+    this.retryDelaysMs = options.retryDelaysMs;
+    this.timeoutMs = options.timeoutMs;
+    this.fetch = options.fetch || fetch;
+    this.logger = options.logger || createLogger();
+  }
+
+  /**
+   * Checks whether a hook wants a message
+   * @param {Object} hook - Outgoing hook
+   * @param {Object} message - Channel message
+   * @returns {boolean} - True if the room and keywords match
+   */
+  static matches(hook, message) {
+    if (hook.rooms.length > 0 && !hook.rooms.includes(message.room.toLowerCase())) {
+      return false;
+    }
+    const text = message.message.toLowerCase();
+    return hook.keywords.length === 0 || hook.keywords.some((keyword) => text.includes(keyword));
+  }
+
+  /**
+   * Delivers a message to every matching hook in the background
+   * @param {Object} message - Channel message (as broadcast to clients)
+   */
+  dispatch(message) {
+    this.hooks
+      .filter((hook) => WebhookDispatcher.matches(hook, message))
+      .forEach((hook) => {
+        const body = JSON.stringify({ event: "message", deliveryId: crypto.randomUUID(), message: message });
+        this.deliver(hook, body, 0);
+      });
+  }
+
+  /**
+   * Sends one delivery attempt, scheduling a retry if it fails
+   * Network errors, timeouts, 429 and 5xx answers are retried; other 4xx answers are not
+   * @param {Object} hook - Outgoing hook
+   * @param {string} body - JSON body
+   * @param {number} attempt - Attempts made so far
+   * @returns {Promise<boolean>} - Whether this attempt was delivered
+   */
+  async deliver(hook, body, attempt) {
+    // Signed per attempt so the timestamp reflects when it was actually sent
+    const timestamp = Math.floor(Date.now() / 1000);
+    let retryable = true;
+    let outcome;
+
+    try {
+      const response = await this.fetch(hook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          [TIMESTAMP_HEADER]: String(timestamp),
+          [SIGNATURE_HEADER]: signPayload(hook.secret, timestamp, body),
+        },
+        body: body,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+      if (response.ok) {
+        return true;
+      }
+      retryable = response.status === 429 || response.status >= 500;
+      outcome = `HTTP ${response.status}`;
+    } catch (err) {
+      outcome = err.name === "TimeoutError" ? "timed out" : err.message;
+    }
+
+    if (!retryable || attempt >= this.retryDelaysMs.length) {
+      this.logger.error("WEBHOOK", "Giving up on a delivery", {
+        url: hook.url,
+        attempts: attempt + 1,
+        outcome: outcome,
+      });
+      return false;
+    }
+
+    const delay = this.retryDelaysMs[attempt];
+    this.logger.warn("WEBHOOK", "Delivery failed, retrying", {
+      url: hook.url,
+      outcome: outcome,
+      retryInSeconds: delay / 1000,
+    });
+    setTimeout(() => this.deliver(hook, body, attempt + 1), delay).unref();
+    return false;
+  }
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signPayload,
+  verifySignature,
+  loadWebhookConfig,
+  findIncomingHook,
+  WebhookDispatcher,
+};
@@ -11,8 +11,29 @@
  */
 
 // ===== Socket.io Connection =====
+// localStorage key for the logged-in account: { username, token }
+const AUTH_STORAGE_KEY = "chatwave-auth";
+
+// sessionStorage key for the resume token of the current tab's chat session
+const SESSION_STORAGE_KEY = "chatwave-session";
+
+// Chat server (Socket.io and file uploads): the "chat-server" meta tag in index.html if set,
+// otherwise the server this page was loaded from
+const serverMeta = document.querySelector("meta[name='chat-server']");
+const SERVER_URL = (serverMeta && serverMeta.content.trim()) || window.location.origin;
+
 // Connect to the Socket.io server via HTTPS/WSS
-const socket = io("https://validtesting.tplinkdns.com:25567");
+// The auth callback runs on every (re)connect, so fresh login and resume tokens are always sent
+const socket = io(SERVER_URL, {
+  auth: (callback) => {
+    const auth = getStoredAuth();
+    const resumeToken = sessionStorage.getItem(SESSION_STORAGE_KEY);
+    callback({
+      token: auth ? auth.token : undefined,
+      resumeToken: resumeToken || undefined,
+    });
+  },
+});
 
 // ===== DOM Element References =====
 const elements = {
@@ -23,9 +44,14 @@ const elements = {
   // Login Form
   loginForm: document.getElementById("login-form"),
   usernameInput: document.getElementById("username-input"),
+  passwordInput: document.getElementById("password-input"),
   charCount: document.getElementById("char-count"),
   loginError: document.getElementById("login-error"),
   joinBtn: document.getElementById("join-btn"),
+  signupBtn: document.getElementById("signup-btn"),
+  accountStatus: document.getElementById("account-status"),
+  accountName: document.getElementById("account-name"),
+  logoutBtn: document.getElementById("logout-btn"),
   loginUserCount: document.getElementById("login-user-count"),
 
   // Chat Interface
@@ -34,30 +60,157 @@ const elements = {
   messageInput: document.getElementById("message-input"),
   sendBtn: document.getElementById("send-btn"),
   typingIndicator: document.getElementById("typing-indicator"),
+  slowDownNotice: document.getElementById("slow-down-notice"),
+  mentionMenu: document.getElementById("mention-menu"),
+  attachBtn: document.getElementById("attach-btn"),
+  fileInput: document.getElementById("file-input"),
+  attachmentTray: document.getElementById("attachment-tray"),
+
+  // Channel Header
+  roomTitle: document.getElementById("room-title"),
+  roomTopic: document.getElementById("room-topic"),
+  leaveRoomBtn: document.getElementById("leave-room-btn"),
 
   // Sidebar
   sidebar: document.querySelector(".sidebar"),
+  channelsList: document.getElementById("channels-list"),
+  createRoomBtn: document.getElementById("create-room-btn"),
+  createRoomForm: document.getElementById("create-room-form"),
+  roomNameInput: document.getElementById("room-name-input"),
+  roomError: document.getElementById("room-error"),
+  dmList: document.getElementById("dm-list"),
+  mentionsList: document.getElementById("mentions-list"),
+  mentionCount: document.getElementById("mention-count"),
   usersList: document.getElementById("users-list"),
   userCount: document.getElementById("user-count"),
   currentUsername: document.getElementById("current-username"),
   userAvatar: document.getElementById("user-avatar"),
+  renameBtn: document.getElementById("rename-btn"),
+  renameForm: document.getElementById("rename-form"),
+  renameInput: document.getElementById("rename-input"),
+  renameError: document.getElementById("rename-error"),
   leaveBtn: document.getElementById("leave-btn"),
   mobileMenuBtn: document.getElementById("mobile-menu-btn"),
 
+  // Thread Panel
+  threadPanel: document.getElementById("thread-panel"),
+  threadCloseBtn: document.getElementById("thread-close-btn"),
+  threadParent: document.getElementById("thread-parent"),
+  threadReplies: document.getElementById("thread-replies"),
+  threadForm: document.getElementById("thread-form"),
+  threadInput: document.getElementById("thread-input"),
+  threadAlsoToChannel: document.getElementById("thread-also-to-channel"),
+  threadAlsoLabel: document.getElementById("thread-also-label"),
+
+  // Image Lightbox
+  lightbox: document.getElementById("lightbox"),
+  lightboxImage: document.getElementById("lightbox-image"),
+  lightboxDownload: document.getElementById("lightbox-download"),
+  lightboxClose: document.getElementById("lightbox-close"),
+
   // Connection Status
   connectionStatus: document.getElementById("connection-status"),
 };
 
 // ===== Application State =====
+// Default channel the server places every user in
+const DEFAULT_ROOM = "general";
+
+// Prefix for direct message conversation keys (room names can't contain "@")
+const DM_PREFIX = "@";
+
+// Characters allowed in usernames (same rule the server enforces)
+const USERNAME_PATTERN = /^[\p{L}\p{N}_. -]+$/u;
+
+// Events sent from the login screen - their errors are shown on the login form
+const LOGIN_EVENTS = ["user-join", "login", "register"];
+
+// Events that send a message - their errors are shown on the message itself
+const MESSAGE_EVENTS = ["chat-message", "private-message"];
+
+// How long to wait for the server to confirm a message before marking it failed
+const ACK_TIMEOUT_MS = 10000;
+
+// How long to collect on-screen messages before reporting them as seen
+const SEEN_REPORT_DELAY_MS = 1000;
+
+// How often "typing" is repeated while the user keeps typing (the server forgets it after 5s or more)
+const TYPING_REFRESH_MS = 3000;
+
+// Number of typing users named before the indicator switches to "Several people"
+const MAX_NAMED_TYPERS = 3;
+
+// "@" plus the partial name being typed before the caret (usernames may contain spaces)
+const MENTION_QUERY_PATTERN = /(^|[^\p{L}\p{N}_])@([\p{L}\p{N}_. -]{0,20})$/u;
+
+// Most suggestions shown by the @mention autocomplete
+const MAX_MENTION_SUGGESTIONS = 8;
+
+// A slash command name being typed at the start of the message box, e.g. "/to"
+const COMMAND_QUERY_PATTERN = /^\/([a-z0-9-]*)$/i;
+
+// Most entries kept in the mentions inbox
+const MAX_INBOX_MENTIONS = 50;
+
+// Files that can be attached to one message (the server enforces the same limit)
+const MAX_ATTACHMENTS = 4;
+
+// Attachment types shown as image thumbnails
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+// Types assumed from the file name when the browser doesn't know a file's type (e.g. .log files)
+// Matches the server's list in lib/attachment-store.js
+const TYPES_BY_EXTENSION = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".txt": "text/plain",
+  ".log": "text/plain",
+  ".csv": "text/csv",
+  ".json": "application/json",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".gz": "application/gzip",
+};
+
+// Emoji offered by the reaction picker
+const REACTION_CHOICES = ["👍", "❤️", "😂", "🎉", "😮", "😢", "👀", "🙏"];
+
 const state = {
   currentUser: null, // Current user's username
-  users: [], // List of online users
-  messages: [], // Array of chat messages
+  pendingJoin: null, // Username to join with once reconnected after logging in
+  currentRoom: DEFAULT_ROOM, // Room or DM conversation key shown in the messages pane
+  rooms: [], // All rooms on the server: { name, topic, userCount }
+  joinedRooms: new Set(), // Names of rooms the user is a member of
+  dmPartners: [], // Usernames the user has direct message conversations with
+  roomUsers: {}, // Room name -> array of member usernames
+  unread: {}, // Room name or DM key -> unread message count
+  users: [], // Members of the current room
+  messages: {}, // Room name or DM key -> array of chat and system messages
+  history: {}, // Room name -> { hasMore, loading } for scroll-back pagination
+  openThread: null, // Thread shown in the side panel: { room, id, parent, replies }
+  mentions: [], // Messages that mentioned the user, newest first (the mentions inbox)
+  mentionMenu: null, // Open autocomplete: { kind: 'mention' or 'command', input, start, matches, selected }
+  commands: [], // Slash commands from the server: { name, usage, description }
+  pendingAttachments: [], // Files picked for the next message: { localId, name, status, error, attachment }
+  uploadLimits: null, // Largest file and allowed types, sent by the server: { maxBytes, types }
   isConnected: false, // Socket connection status
   typingTimeout: null, // Timeout for typing indicator
   isTyping: false, // Whether current user is typing
+  lastTypingSignal: 0, // When "typing" was last sent to the server
+  typingUsers: {}, // Room name -> usernames currently typing there
+  nextLocalId: 1, // Counter for IDs of messages the server hasn't confirmed yet
+  visibleMessages: new Set(), // Elements of other users' channel messages currently on screen
+  reportedSeen: new Set(), // IDs of messages already reported as seen
+  seenTimer: null, // Timeout batching read receipts
+  slowDownTimer: null, // Interval counting down the rate limit notice
 };
 
+// Reports other users' channel messages once they've been on screen
+const seenObserver = new IntersectionObserver(handleMessageVisibility, { threshold: 0.5 });
+
 // ===== Utility Functions =====
 
 /**
@@ -94,6 +247,47 @@ function formatTime(isoString) {
   return date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
 }
 
+/**
+ * Formats a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. "512 B", "14 KB", "2.3 MB"
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Formats a duration for moderation messages
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - e.g. "10 minutes"
+ */
+function formatDuration(ms) {
+  const units = [
+    ["day", 24 * 60 * 60 * 1000],
+    ["hour", 60 * 60 * 1000],
+    ["minute", 60 * 1000],
+    ["second", 1000],
+  ];
+  const [unit, size] = units.find(([, unitMs]) => ms >= unitMs && ms % unitMs === 0) || units[units.length - 1];
+  const count = Math.round(ms / size);
+  return `${count} ${unit}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Gets the download URL of an uploaded attachment
+ * @param {string} id - Attachment ID
+ * @returns {string} - URL on the chat server
+ */
+function getAttachmentUrl(id) {
+  return `${SERVER_URL}/uploads/${encodeURIComponent(id)}`;
+}
+
 /**
  * Scrolls the messages container to the bottom
  * Uses smooth scrolling for better UX
@@ -149,7 +343,6 @@ function updateConnectionStatus(connected) {
 function updateUsersList(users) {
   state.users = users;
   elements.userCount.textContent = users.length;
-  elements.loginUserCount.textContent = users.length;
 
   // Clear and rebuild users list
   elements.usersList.innerHTML = "";
@@ -160,6 +353,9 @@ function updateUsersList(users) {
 
     if (isCurrentUser) {
       li.classList.add("current-user");
+    } else {
+      li.title = `Message ${username}`;
+      li.addEventListener("click", () => openDirectMessage(username));
     }
 
     li.innerHTML = `
@@ -176,25 +372,38 @@ function updateUsersList(users) {
 }
 
 /**
- * Adds a chat message to the messages container
+ * Builds the DOM element for a chat message
  * @param {Object} messageData - Message object with username, message, timestamp
  * @param {boolean} isOwn - Whether this is the current user's message
+ * @returns {HTMLElement} - The message element
  */
-function addMessage(messageData, isOwn = false) {
-  // Remove welcome message if it exists
-  const welcomeMsg = elements.messagesContainer.querySelector(".welcome-message");
-  if (welcomeMsg) {
-    welcomeMsg.remove();
-  }
-
-  // Create message element
+function createMessageElement(messageData, isOwn) {
   const messageEl = document.createElement("div");
   messageEl.classList.add("message");
+  messageEl.dataset.id = messageData.id || messageData.localId;
   if (isOwn) {
     messageEl.classList.add("own-message");
   }
 
   const avatarColor = getUserColor(messageData.username);
+  const isThreadParent = messageData.room && !messageData.threadId;
+
+  // Anyone can start a thread on a channel message; authors can also edit and delete theirs
+  const buttons = [];
+  if (isThreadParent) {
+    buttons.push('<button type="button" class="msg-action" data-action="reply" title="Reply in thread">Reply</button>');
+  }
+  if (isOwn && messageData.room) {
+    buttons.push('<button type="button" class="msg-action" data-action="edit" title="Edit message">Edit</button>');
+    buttons.push('<button type="button" class="msg-action" data-action="delete" title="Delete message">Delete</button>');
+  }
+  const actions = buttons.length > 0 ? `<div class="msg-actions">${buttons.join("")}</div>` : "";
+
+  // Replies that were also sent to the channel link back to their thread
+  const threadLink =
+    messageData.threadId && messageData.alsoToChannel
+      ? '<button type="button" class="thread-link" data-action="open-thread">replied to a thread</button>'
+      : "";
 
   messageEl.innerHTML = `
         <div class="msg-avatar" style="${isOwn ? "" : `background: ${avatarColor}22; color: ${avatarColor}`}">
@@ -203,208 +412,1899 @@ function addMessage(messageData, isOwn = false) {
         <div class="msg-content">
             <div class="msg-header">
                 <span class="msg-username">${escapeHtml(messageData.username)}</span>
+                ${messageData.bot ? '<span class="bot-badge" title="Posted by an integration">BOT</span>' : ""}
                 <span class="msg-time">${formatTime(messageData.timestamp)}</span>
+                <span class="msg-edited hidden"></span>
+                ${isOwn ? '<span class="msg-status"></span>' : ""}
             </div>
-            <div class="msg-text">${escapeHtml(messageData.message)}</div>
+            ${threadLink}
+            <div class="msg-text"></div>
+            <div class="msg-attachments"></div>
+            ${messageData.room ? '<div class="msg-reactions"></div>' : ""}
+            ${isThreadParent ? '<button type="button" class="thread-summary hidden" data-action="open-thread"></button>' : ""}
         </div>
+        ${actions}
     `;
 
-  elements.messagesContainer.appendChild(messageEl);
-  state.messages.push(messageData);
+  updateMessageElement(messageEl, messageData);
 
-  // Scroll to show new message
-  scrollToBottom();
+  const seen = state.reportedSeen.has(messageData.id) || (messageData.seenBy || []).includes(state.currentUser);
+  if (!isOwn && messageData.room && messageData.id && !seen) {
+    seenObserver.observe(messageEl);
+  }
+
+  return messageEl;
+}
+
+/**
+ * Updates the text, "(edited)" marker, reactions and tombstone of a rendered message
+ * @param {HTMLElement} messageEl - Element created by createMessageElement
+ * @param {Object} messageData - Current message data
+ */
+function updateMessageElement(messageEl, messageData) {
+  const textEl = messageEl.querySelector(".msg-text");
+  const editedEl = messageEl.querySelector(".msg-edited");
+
+  renderReactions(messageEl, messageData);
+  renderAttachments(messageEl, messageData);
+  renderThreadSummary(messageEl, messageData);
+  renderMessageStatus(messageEl, messageData);
+  messageEl.classList.toggle("mentions-me", (messageData.mentions || []).includes(state.currentUser));
+
+  if (messageData.deleted) {
+    messageEl.classList.add("deleted");
+    textEl.textContent = "This message was deleted.";
+    editedEl.classList.add("hidden");
+
+    const actions = messageEl.querySelector(".msg-actions");
+    if (actions) {
+      actions.remove();
+    }
+    return;
+  }
+
+  // renderMarkdown escapes everything it doesn't turn into one of its own tags
+  textEl.innerHTML = ChatMarkdown.renderMarkdown(messageData.message);
+
+  // /me actions read as "* alice waves"
+  if (messageData.action) {
+    textEl.insertAdjacentHTML("afterbegin", `<span class="action-name">${escapeHtml(messageData.username)}</span> `);
+  }
+  messageEl.classList.toggle("action-message", Boolean(messageData.action));
+
+  if (messageData.editedAt) {
+    editedEl.textContent = "(edited)";
+    editedEl.title = `Edited at ${formatTime(messageData.editedAt)}`;
+    editedEl.classList.remove("hidden");
+  }
+}
+
+/**
+ * Renders the reaction chips under a channel message
+ * Each chip shows the emoji and count; hovering lists who reacted
+ * @param {HTMLElement} messageEl - Element created by createMessageElement
+ * @param {Object} messageData - Current message data
+ */
+function renderReactions(messageEl, messageData) {
+  const reactionsEl = messageEl.querySelector(".msg-reactions");
+  if (!reactionsEl) {
+    return;
+  }
+
+  reactionsEl.innerHTML = "";
+  if (messageData.deleted) {
+    return;
+  }
+
+  Object.entries(messageData.reactions || {}).forEach(([emoji, usernames]) => {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "reaction-chip";
+    chip.classList.toggle("mine", usernames.includes(state.currentUser));
+    chip.dataset.emoji = emoji;
+    chip.title = usernames.join(", ");
+    chip.textContent = `${emoji} ${usernames.length}`;
+    reactionsEl.appendChild(chip);
+  });
+
+  const addBtn = document.createElement("button");
+  addBtn.type = "button";
+  addBtn.className = "reaction-add";
+  addBtn.title = "Add reaction";
+  addBtn.textContent = "+";
+  reactionsEl.appendChild(addBtn);
+}
+
+/**
+ * Renders a message's attachments: thumbnails for images, file cards for everything else
+ * @param {HTMLElement} messageEl - Element created by createMessageElement
+ * @param {Object} messageData - Current message data
+ */
+function renderAttachments(messageEl, messageData) {
+  const attachmentsEl = messageEl.querySelector(".msg-attachments");
+  attachmentsEl.innerHTML = "";
+  if (messageData.deleted) {
+    return;
+  }
+
+  (messageData.attachments || []).forEach((attachment) => {
+    const url = getAttachmentUrl(attachment.id);
+
+    if (IMAGE_TYPES.includes(attachment.type)) {
+      const thumbnail = document.createElement("button");
+      thumbnail.type = "button";
+      thumbnail.className = "attachment-image";
+      thumbnail.title = attachment.name;
+      thumbnail.dataset.url = url;
+
+      const image = document.createElement("img");
+      image.src = url;
+      image.alt = attachment.name;
+      image.loading = "lazy";
+      thumbnail.appendChild(image);
+      attachmentsEl.appendChild(thumbnail);
+      return;
+    }
+
+    const card = document.createElement("a");
+    card.className = "attachment-file";
+    card.href = url;
+    card.target = "_blank";
+    card.rel = "noopener noreferrer";
+    card.download = attachment.name;
+    card.innerHTML = `
+            <span class="attachment-icon">📄</span>
+            <span class="attachment-info">
+                <span class="attachment-name">${escapeHtml(attachment.name)}</span>
+                <span class="attachment-size">${formatFileSize(attachment.size)}</span>
+            </span>
+        `;
+    attachmentsEl.appendChild(card);
+  });
+}
+
+/**
+ * Shows the delivery state of the user's own message:
+ * sending, failed (with a Retry button), delivered, or who has seen it
+ * @param {HTMLElement} messageEl - Element created by createMessageElement
+ * @param {Object} messageData - Current message data
+ */
+function renderMessageStatus(messageEl, messageData) {
+  const statusEl = messageEl.querySelector(".msg-status");
+  if (!statusEl) {
+    return;
+  }
+
+  const seenBy = messageData.seenBy || [];
+  statusEl.className = `msg-status ${messageData.status || "delivered"}`;
+  statusEl.title = "";
+
+  if (messageData.deleted) {
+    statusEl.textContent = "";
+  } else if (messageData.status === "sending") {
+    statusEl.textContent = "Sending...";
+  } else if (messageData.status === "failed") {
+    statusEl.textContent = "Failed to send ";
+    statusEl.title = messageData.error || "";
+    const retryBtn = document.createElement("button");
+    retryBtn.type = "button";
+    retryBtn.className = "msg-retry";
+    retryBtn.dataset.action = "retry";
+    retryBtn.textContent = "Retry";
+    statusEl.appendChild(retryBtn);
+  } else if (seenBy.length > 0) {
+    const names = seenBy.length > 3 ? `${seenBy.slice(0, 3).join(", ")} +${seenBy.length - 3}` : seenBy.join(", ");
+    statusEl.textContent = `Seen by ${names}`;
+    statusEl.title = `Seen by ${seenBy.join(", ")}`;
+    statusEl.classList.add("seen");
+  } else {
+    statusEl.textContent = "✓";
+    statusEl.title = "Delivered";
+  }
+}
+
+/**
+ * Shows the reply count and latest repliers under a message with a thread
+ * @param {HTMLElement} messageEl - Element created by createMessageElement
+ * @param {Object} messageData - Current message data
+ */
+function renderThreadSummary(messageEl, messageData) {
+  const summaryEl = messageEl.querySelector(".thread-summary");
+  if (!summaryEl || !messageData.replyCount) {
+    return;
+  }
+
+  const replies = messageData.replyCount === 1 ? "1 reply" : `${messageData.replyCount} replies`;
+  summaryEl.textContent = `${replies} · ${(messageData.latestRepliers || []).join(", ")}`;
+  summaryEl.title = `Last reply at ${formatTime(messageData.lastReplyAt)}`;
+  summaryEl.classList.remove("hidden");
+}
+
+/**
+ * Finds a stored message by ID, in the room feed or the open thread
+ * @param {string} room - Room name or DM key
+ * @param {string} id - Message ID (or local ID while it's being sent)
+ * @returns {Object|undefined} - The message
+ */
+function findMessage(room, id) {
+  const thread = state.openThread;
+  const threadMessages = thread && thread.room === room ? [thread.parent].concat(thread.replies) : [];
+  return getRoomMessages(room)
+    .concat(threadMessages)
+    .find((entry) => entry && (entry.id === id || entry.localId === id));
+}
+
+/**
+ * Tracks which of other users' messages are on screen
+ * Called by seenObserver whenever one scrolls into or out of view
+ * @param {IntersectionObserverEntry[]} entries - Visibility changes
+ */
+function handleMessageVisibility(entries) {
+  entries.forEach((entry) => {
+    if (entry.isIntersecting) {
+      state.visibleMessages.add(entry.target);
+    } else {
+      state.visibleMessages.delete(entry.target);
+    }
+  });
+  scheduleSeenReport();
+}
+
+/**
+ * Reports the on-screen messages as seen after a short delay
+ * Nothing is reported while the tab is in the background
+ */
+function scheduleSeenReport() {
+  if (state.seenTimer || document.visibilityState !== "visible" || state.visibleMessages.size === 0) {
+    return;
+  }
+
+  state.seenTimer = setTimeout(() => {
+    state.seenTimer = null;
+    if (document.visibilityState !== "visible") {
+      return;
+    }
+
+    const ids = [];
+    state.visibleMessages.forEach((messageEl) => {
+      seenObserver.unobserve(messageEl);
+      if (!state.reportedSeen.has(messageEl.dataset.id)) {
+        state.reportedSeen.add(messageEl.dataset.id);
+        ids.push(messageEl.dataset.id);
+      }
+    });
+    state.visibleMessages.clear();
+
+    // Everything on screen belongs to the open channel (threads too)
+    for (let i = 0; i < ids.length; i += 50) {
+      socket.emit("mark-seen", { room: state.currentRoom, ids: ids.slice(i, i + 50) });
+    }
+  }, SEEN_REPORT_DELAY_MS);
+}
+
+/**
+ * Stops watching the message elements in a container that is about to be cleared
+ * @param {HTMLElement} container - Messages container or thread panel
+ */
+function forgetMessageElements(container) {
+  container.querySelectorAll(".message").forEach((messageEl) => {
+    seenObserver.unobserve(messageEl);
+    state.visibleMessages.delete(messageEl);
+  });
+}
+
+/**
+ * Finds every rendered copy of a message (the feed and the thread panel can both show it)
+ * @param {string} id - Message ID
+ * @returns {NodeList} - The message elements
+ */
+function findMessageElements(id) {
+  return document.querySelectorAll(`.message[data-id="${CSS.escape(id)}"]`);
 }
 
 /**
- * Adds a system message (user joined/left)
+ * Builds the DOM element for a system message (user joined/left)
  * @param {string} text - The system message text
  * @param {string} type - 'joined' or 'left'
+ * @returns {HTMLElement} - The system message element
  */
-function addSystemMessage(text, type = "") {
+function createSystemMessageElement(text, type) {
   const messageEl = document.createElement("div");
   messageEl.classList.add("system-message");
   if (type === "joined") {
     messageEl.classList.add("user-joined");
   } else if (type === "left") {
     messageEl.classList.add("user-left");
+  } else if (type === "command") {
+    messageEl.classList.add("command-result");
+  } else if (type === "moderation") {
+    messageEl.classList.add("moderation");
   }
 
   messageEl.textContent = text;
-  elements.messagesContainer.appendChild(messageEl);
-  scrollToBottom();
-}
-
-/**
- * Shows the typing indicator
- * @param {string} username - Username of the person typing
- */
-function showTypingIndicator(username) {
-  const typingUser = elements.typingIndicator.querySelector(".typing-user");
-  typingUser.textContent = username;
-  elements.typingIndicator.classList.remove("hidden");
+  return messageEl;
 }
 
 /**
- * Hides the typing indicator
+ * Gets the conversation key for a direct message partner
+ * @param {string} username - The other participant
+ * @returns {string} - DM conversation key
  */
-function hideTypingIndicator() {
-  elements.typingIndicator.classList.add("hidden");
+function dmKey(username) {
+  return DM_PREFIX + username;
 }
 
 /**
- * Escapes HTML special characters to prevent XSS
- * @param {string} text - Text to escape
- * @returns {string} - Escaped text
+ * Checks whether a conversation key refers to a direct message
+ * @param {string} key - Room name or DM key
+ * @returns {boolean} - True for DM conversations
  */
-function escapeHtml(text) {
-  const div = document.createElement("div");
-  div.textContent = text;
-  return div.innerHTML;
+function isDmKey(key) {
+  return key.startsWith(DM_PREFIX);
 }
 
 /**
- * Displays an error message on the login form
- * @param {string} message - Error message to display
+ * Gets the conversation a message belongs to
+ * Room messages carry a room name, direct messages a recipient
+ * @param {Object} messageData - Room or direct message
+ * @returns {string} - Room name or DM key
  */
-function showLoginError(message) {
-  elements.loginError.textContent = message;
-  elements.usernameInput.focus();
+function getConversationKey(messageData) {
+  if (messageData.to) {
+    const partner = messageData.username === state.currentUser ? messageData.to : messageData.username;
+    return dmKey(partner);
+  }
+  return messageData.room;
 }
 
 /**
- * Clears the login error message
+ * Gets the stored message list for a room, creating it if needed
+ * @param {string} room - Room name
+ * @returns {Object[]} - Array of messages for that room
  */
-function clearLoginError() {
-  elements.loginError.textContent = "";
+function getRoomMessages(room) {
+  if (!state.messages[room]) {
+    state.messages[room] = [];
+  }
+  return state.messages[room];
 }
 
-// ===== Event Handlers =====
-
 /**
- * Handles the login form submission
- * Attempts to join the chat with the provided username
+ * Adds a chat or direct message to its conversation
+ * Renders it immediately if the conversation is open, otherwise counts it as unread
+ * @param {Object} messageData - Message object with room (or to), username, message, timestamp
+ * @param {boolean} isOwn - Whether this is the current user's message
  */
-function handleLogin(e) {
-  e.preventDefault();
-
-  const username = elements.usernameInput.value.trim();
+function addMessage(messageData, isOwn = false) {
+  const key = getConversationKey(messageData);
 
-  // Validate username
-  if (!username) {
-    showLoginError("Please enter a username");
+  // The server's echo of a message we sent: it's already shown, just bring it up to date
+  const existing = messageData.id && getRoomMessages(key).find((entry) => entry.id === messageData.id);
+  if (existing) {
+    Object.assign(existing, messageData);
+    findMessageElements(existing.id).forEach((messageEl) => updateMessageElement(messageEl, existing));
     return;
   }
 
-  if (username.length < 2) {
-    showLoginError("Username must be at least 2 characters");
+  getRoomMessages(key).push(messageData);
+
+  if (key !== state.currentRoom) {
+    state.unread[key] = (state.unread[key] || 0) + 1;
+    renderChannelList();
+    renderDmList();
     return;
   }
 
-  if (username.length > 20) {
-    showLoginError("Username must be 20 characters or less");
-    return;
+  // Remove welcome message if it exists
+  const welcomeMsg = elements.messagesContainer.querySelector(".welcome-message");
+  if (welcomeMsg) {
+    welcomeMsg.remove();
   }
 
-  // Disable button while processing
-  elements.joinBtn.disabled = true;
-  elements.joinBtn.querySelector("span").textContent = "Joining...";
+  elements.messagesContainer.appendChild(createMessageElement(messageData, isOwn));
 
-  // Emit join event to server
-  socket.emit("user-join", username);
+  // Scroll to show new message
+  scrollToBottom();
 }
 
 /**
- * Handles sending a chat message
+ * Prepends a page of older messages to a room
+ * Keeps the viewport anchored so the messages the user is reading don't jump
+ * @param {string} room - Room name
+ * @param {Object[]} messages - Older messages, oldest first
  */
-function handleSendMessage(e) {
-  e.preventDefault();
+function prependMessages(room, messages) {
+  const existing = getRoomMessages(room);
+  const seen = new Set(existing.map((entry) => entry.id).filter(Boolean));
+  const older = messages.filter((messageData) => !seen.has(messageData.id));
 
-  const message = elements.messageInput.value.trim();
+  state.messages[room] = older.concat(existing);
 
-  if (!message) {
+  if (room !== state.currentRoom || older.length === 0) {
     return;
   }
 
-  // Emit message to server
-  socket.emit("chat-message", message);
+  const container = elements.messagesContainer;
+  const previousHeight = container.scrollHeight;
+  const fragment = document.createDocumentFragment();
 
-  // Clear input
-  elements.messageInput.value = "";
-  elements.messageInput.focus();
+  older.forEach((messageData) => {
+    fragment.appendChild(createMessageElement(messageData, messageData.username === state.currentUser));
+  });
+  container.insertBefore(fragment, container.firstChild);
 
-  // Stop typing indicator
-  if (state.isTyping) {
-    socket.emit("stop-typing");
-    state.isTyping = false;
-  }
+  // Shift the scroll position by exactly the height that was added above
+  container.scrollTop += container.scrollHeight - previousHeight;
 }
 
 /**
- * Handles typing events for the typing indicator
+ * Requests the page of messages before the oldest one loaded
+ * Called when the user scrolls to the top of the messages pane
  */
-function handleTyping() {
-  if (!state.isTyping) {
-    state.isTyping = true;
-    socket.emit("typing");
+function loadOlderMessages() {
+  const room = state.currentRoom;
+  const history = state.history[room];
+
+  if (isDmKey(room) || !history || !history.hasMore || history.loading) {
+    return;
   }
 
-  // Clear previous timeout
-  if (state.typingTimeout) {
-    clearTimeout(state.typingTimeout);
+  const oldest = getRoomMessages(room).find((entry) => entry.id);
+  if (!oldest) {
+    return;
   }
 
-  // Set timeout to stop typing after 2 seconds of inactivity
-  state.typingTimeout = setTimeout(() => {
-    state.isTyping = false;
-    socket.emit("stop-typing");
-  }, 2000);
+  history.loading = true;
+  socket.emit("load-history", { room: room, before: oldest.id });
 }
 
 /**
- * Handles leaving the chat
+ * Adds a system message (user joined/left) to a room
+ * @param {string} text - The system message text
+ * @param {string} type - 'joined' or 'left'
+ * @param {string} room - Room the message belongs to (defaults to the open room)
  */
-function handleLeaveChat() {
-  // Reset state
-  state.currentUser = null;
-  state.messages = [];
+function addSystemMessage(text, type = "", room = state.currentRoom) {
+  getRoomMessages(room).push({ system: true, text: text, type: type });
 
-  // Clear UI
-  elements.messagesContainer.innerHTML = `
+  if (room !== state.currentRoom) {
+    return;
+  }
+
+  elements.messagesContainer.appendChild(createSystemMessageElement(text, type));
+  scrollToBottom();
+}
+
+/**
+ * Re-renders the messages pane for the currently open room
+ */
+function renderMessages() {
+  const messages = getRoomMessages(state.currentRoom);
+  forgetMessageElements(elements.messagesContainer);
+  elements.messagesContainer.innerHTML = "";
+
+  if (messages.length === 0) {
+    elements.messagesContainer.innerHTML = isDmKey(state.currentRoom)
+      ? `
         <div class="welcome-message">
-            <h3>Welcome to the chat!</h3>
+            <h3>${escapeHtml(state.currentRoom.slice(DM_PREFIX.length))}</h3>
+            <p>This is the start of your direct message history.</p>
+        </div>
+    `
+      : `
+        <div class="welcome-message">
+            <h3>Welcome to #${escapeHtml(state.currentRoom)}!</h3>
             <p>Start a conversation with other users.</p>
         </div>
     `;
-  elements.usernameInput.value = "";
-  elements.messageInput.value = "";
-
-  // Reset login button
-  elements.joinBtn.disabled = false;
-  elements.joinBtn.querySelector("span").textContent = "Join Chat";
+    return;
+  }
 
-  // Switch to login screen
-  switchScreen("login");
+  messages.forEach((entry) => {
+    const messageEl = entry.system
+      ? createSystemMessageElement(entry.text, entry.type)
+      : createMessageElement(entry, entry.username === state.currentUser);
+    elements.messagesContainer.appendChild(messageEl);
+  });
 
-  // Disconnect and reconnect socket to properly leave
-  socket.disconnect();
-  socket.connect();
+  elements.messagesContainer.scrollTop = elements.messagesContainer.scrollHeight;
 }
 
 /**
- * Toggles the mobile sidebar
+ * Rebuilds the channel list in the sidebar with unread badges
  */
-function toggleMobileSidebar() {
-  elements.sidebar.classList.toggle("open");
+function renderChannelList() {
+  elements.channelsList.innerHTML = "";
 
-  // Handle overlay
-  let overlay = document.querySelector(".sidebar-overlay");
-  if (!overlay) {
-    overlay = document.createElement("div");
-    overlay.classList.add("sidebar-overlay");
-    overlay.addEventListener("click", toggleMobileSidebar);
-    document.body.appendChild(overlay);
-  }
+  state.rooms.forEach((room) => {
+    const li = document.createElement("li");
+    const unread = state.unread[room.name] || 0;
+
+    if (room.name === state.currentRoom) {
+      li.classList.add("active");
+    }
+    if (!state.joinedRooms.has(room.name)) {
+      li.classList.add("not-joined");
+    }
+
+    li.innerHTML = `
+            <span class="channel-name"># ${escapeHtml(room.name)}</span>
+            <span class="channel-count">${room.userCount}</span>
+            ${unread > 0 ? `<span class="unread-badge">${unread > 99 ? "99+" : unread}</span>` : ""}
+        `;
+    li.addEventListener("click", () => handleSelectRoom(room.name));
+
+    elements.channelsList.appendChild(li);
+  });
+}
+
+/**
+ * Rebuilds the direct message list in the sidebar with unread badges
+ */
+function renderDmList() {
+  elements.dmList.innerHTML = "";
+
+  state.dmPartners.forEach((username) => {
+    const li = document.createElement("li");
+    const key = dmKey(username);
+    const unread = state.unread[key] || 0;
+
+    if (key === state.currentRoom) {
+      li.classList.add("active");
+    }
+
+    li.innerHTML = `
+            <span class="channel-name">@ ${escapeHtml(username)}</span>
+            ${unread > 0 ? `<span class="unread-badge">${unread > 99 ? "99+" : unread}</span>` : ""}
+        `;
+    li.addEventListener("click", () => switchRoom(key));
+
+    elements.dmList.appendChild(li);
+  });
+}
+
+/**
+ * Rebuilds the mentions inbox in the sidebar
+ */
+function renderMentionsList() {
+  elements.mentionsList.innerHTML = "";
+
+  state.mentions.forEach((mention) => {
+    const li = document.createElement("li");
+    li.classList.toggle("unread", !mention.read);
+    li.title = "Show message";
+    li.innerHTML = `
+            <span class="mention-source">${escapeHtml(mention.username)} in #${escapeHtml(mention.room)}</span>
+            <span class="mention-time">${formatTime(mention.timestamp)}</span>
+            <span class="mention-text">${escapeHtml(mention.message)}</span>
+        `;
+    li.addEventListener("click", () => openMention(mention));
+
+    elements.mentionsList.appendChild(li);
+  });
+
+  const unread = state.mentions.filter((mention) => !mention.read).length;
+  elements.mentionCount.textContent = unread > 99 ? "99+" : unread;
+  elements.mentionCount.classList.toggle("hidden", unread === 0);
+}
+
+/**
+ * Shows a message from the mentions inbox
+ * Opens its channel (joining it again if needed) and its thread for thread replies
+ * @param {Object} mention - Inbox entry
+ */
+function openMention(mention) {
+  mention.read = true;
+  renderMentionsList();
+
+  if (!state.joinedRooms.has(mention.room)) {
+    handleSelectRoom(mention.room);
+    return;
+  }
+  if (state.currentRoom !== mention.room) {
+    switchRoom(mention.room);
+  }
+  if (mention.threadId) {
+    openThread(mention.room, mention.threadId);
+  }
+
+  const messageEl = elements.messagesContainer.querySelector(`.message[data-id="${CSS.escape(mention.id)}"]`);
+  if (messageEl) {
+    messageEl.scrollIntoView({ behavior: "smooth", block: "center" });
+    messageEl.classList.remove("flash");
+    void messageEl.offsetWidth; // Restart the animation
+    messageEl.classList.add("flash");
+  }
+}
+
+/**
+ * Opens (creating if needed) the direct message conversation with a user
+ * @param {string} username - The other participant
+ */
+function openDirectMessage(username) {
+  if (username === state.currentUser) {
+    return;
+  }
+  if (!state.dmPartners.includes(username)) {
+    state.dmPartners.push(username);
+  }
+  switchRoom(dmKey(username));
+}
+
+/**
+ * Switches the messages pane to another joined room or DM conversation
+ * @param {string} room - Room name or DM key
+ */
+function switchRoom(room) {
+  // Stop the typing indicator in the room being left behind
+  if (state.isTyping) {
+    socket.emit("stop-typing", state.currentRoom);
+    state.isTyping = false;
+  }
+
+  state.currentRoom = room;
+  state.unread[room] = 0;
+
+  // Threads belong to the room they were opened in
+  if (state.openThread && state.openThread.room !== room) {
+    closeThread();
+  }
+
+  if (isDmKey(room)) {
+    // DMs keep the sidebar's user list from the last channel
+    elements.roomTitle.textContent = `@ ${room.slice(DM_PREFIX.length)}`;
+    elements.roomTopic.textContent = "Direct message";
+    elements.leaveRoomBtn.classList.add("hidden");
+  } else {
+    const roomInfo = state.rooms.find((r) => r.name === room);
+    elements.roomTitle.textContent = `# ${room}`;
+    elements.roomTopic.textContent = roomInfo ? roomInfo.topic : "";
+    elements.leaveRoomBtn.classList.toggle("hidden", room === DEFAULT_ROOM);
+    updateUsersList(state.roomUsers[room] || []);
+  }
+
+  renderTypingIndicator();
+  renderMessages();
+  renderChannelList();
+  renderDmList();
+}
+
+/**
+ * Shows who else is typing in the current room, e.g. "Alice and Bob are typing"
+ * Hides the indicator when nobody is
+ */
+function renderTypingIndicator() {
+  const typers = (state.typingUsers[state.currentRoom] || []).filter((name) => name !== state.currentUser);
+  const typingText = elements.typingIndicator.querySelector(".typing-text");
+
+  if (typers.length === 0) {
+    elements.typingIndicator.classList.add("hidden");
+    return;
+  }
+
+  const names = typers.map((name) => `<span class="typing-user">${escapeHtml(name)}</span>`);
+  if (typers.length === 1) {
+    typingText.innerHTML = `${names[0]} is typing`;
+  } else if (typers.length <= MAX_NAMED_TYPERS) {
+    typingText.innerHTML = `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]} are typing`;
+  } else {
+    typingText.textContent = "Several people are typing";
+  }
+  elements.typingIndicator.classList.remove("hidden");
+}
+
+/**
+ * Shows the "slow down" notice with a countdown until sending is allowed again
+ * @param {string} reason - 'rate', 'duplicate' or 'muted'
+ * @param {number} retryAfterMs - Milliseconds until the user may send again
+ */
+function showSlowDownNotice(reason, retryAfterMs) {
+  const until = Date.now() + retryAfterMs;
+
+  const update = () => {
+    const seconds = Math.ceil((until - Date.now()) / 1000);
+    if (seconds <= 0) {
+      hideSlowDownNotice();
+      return;
+    }
+
+    if (reason === "moderated") {
+      const wait = seconds > 60 ? `${Math.ceil(seconds / 60)} min` : `${seconds}s`;
+      elements.slowDownNotice.textContent = `A moderator has muted you. You can chat again in ${wait}.`;
+    } else if (reason === "muted") {
+      elements.slowDownNotice.textContent = `You've been muted for flooding. You can chat again in ${seconds}s.`;
+    } else if (reason === "duplicate") {
+      elements.slowDownNotice.textContent = `You just sent that message. Wait ${seconds}s to send it again.`;
+    } else {
+      elements.slowDownNotice.textContent = `Slow down! You're sending messages too fast. Try again in ${seconds}s.`;
+    }
+  };
+
+  clearInterval(state.slowDownTimer);
+  update();
+  elements.slowDownNotice.classList.remove("hidden");
+  state.slowDownTimer = setInterval(update, 1000);
+}
+
+/**
+ * Hides the "slow down" notice
+ */
+function hideSlowDownNotice() {
+  clearInterval(state.slowDownTimer);
+  state.slowDownTimer = null;
+  elements.slowDownNotice.classList.add("hidden");
+}
+
+/**
+ * Escapes HTML special characters to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Reads the saved login from localStorage
+ * @returns {Object|null} - { username, token } or null for guests
+ */
+function getStoredAuth() {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Saves or clears the login in localStorage
+ * @param {Object|null} auth - { username, token }, or null to log out
+ */
+function setStoredAuth(auth) {
+  if (auth) {
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(auth));
+  } else {
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+  }
+  updateAccountStatus();
+}
+
+/**
+ * Shows who is logged in on the login screen and prefills their username
+ */
+function updateAccountStatus() {
+  const auth = getStoredAuth();
+
+  elements.accountStatus.classList.toggle("hidden", !auth);
+  if (auth) {
+    elements.accountName.textContent = auth.username;
+    if (!elements.usernameInput.value) {
+      elements.usernameInput.value = auth.username;
+      elements.charCount.textContent = auth.username.length;
+    }
+  }
+}
+
+/**
+ * Reconnects the socket so the handshake carries the current login token
+ */
+function reconnectWithAuth() {
+  socket.disconnect();
+  socket.connect();
+}
+
+/**
+ * Displays an error message on the login form
+ * @param {string} message - Error message to display
+ */
+function showLoginError(message) {
+  elements.loginError.textContent = message;
+  elements.usernameInput.focus();
+}
+
+/**
+ * Clears the login error message
+ */
+function clearLoginError() {
+  elements.loginError.textContent = "";
+}
+
+// ===== Event Handlers =====
+
+/**
+ * Handles the login form submission
+ * Attempts to join the chat with the provided username
+ */
+function handleLogin(e) {
+  e.preventDefault();
+
+  const username = elements.usernameInput.value.trim();
+
+  // Validate username
+  if (!username) {
+    showLoginError("Please enter a username");
+    return;
+  }
+
+  if (username.length < 2) {
+    showLoginError("Username must be at least 2 characters");
+    return;
+  }
+
+  if (username.length > 20) {
+    showLoginError("Username must be 20 characters or less");
+    return;
+  }
+
+  if (!USERNAME_PATTERN.test(username)) {
+    showLoginError("Username may only contain letters, numbers, spaces, dots, dashes and underscores");
+    return;
+  }
+
+  // Disable button while processing
+  elements.joinBtn.disabled = true;
+
+  // A password means logging in to a registered account first
+  const password = elements.passwordInput.value;
+  if (password) {
+    elements.joinBtn.querySelector("span").textContent = "Logging in...";
+    socket.emit("login", { username: username, password: password });
+    return;
+  }
+
+  elements.joinBtn.querySelector("span").textContent = "Joining...";
+
+  // Emit join event to server
+  socket.emit("user-join", username);
+}
+
+/**
+ * Handles creating an account from the login form
+ * Uses the username and password fields
+ */
+function handleSignup() {
+  const username = elements.usernameInput.value.trim();
+  const password = elements.passwordInput.value;
+
+  if (username.length < 2 || username.length > 20) {
+    showLoginError("Username must be 2-20 characters");
+    return;
+  }
+
+  if (password.length < 8) {
+    showLoginError("Choose a password of at least 8 characters");
+    elements.passwordInput.focus();
+    return;
+  }
+
+  elements.joinBtn.disabled = true;
+  elements.joinBtn.querySelector("span").textContent = "Creating account...";
+  socket.emit("register", { username: username, password: password });
+}
+
+/**
+ * Handles logging out of a registered account
+ */
+function handleLogout() {
+  setStoredAuth(null);
+  elements.usernameInput.value = "";
+  elements.charCount.textContent = "0";
+  reconnectWithAuth();
+}
+
+/**
+ * Shows autocomplete suggestions for what is being typed before the caret:
+ * slash commands at the start of the message box, or @mentions of the open channel's members
+ * @param {HTMLTextAreaElement} textarea - The message box
+ */
+function updateMentionMenu(textarea) {
+  const beforeCaret = textarea.value.slice(0, textarea.selectionStart);
+
+  const commandMatch = beforeCaret.match(COMMAND_QUERY_PATTERN);
+  if (commandMatch) {
+    const commandQuery = commandMatch[1].toLowerCase();
+    const commands = state.commands.filter((command) => command.name.startsWith(commandQuery));
+    if (commands.length === 0) {
+      hideMentionMenu();
+      return;
+    }
+
+    state.mentionMenu = { kind: "command", input: textarea, start: 0, matches: commands, selected: 0 };
+    renderMentionMenu();
+    return;
+  }
+
+  const match = beforeCaret.match(MENTION_QUERY_PATTERN);
+  if (!match || isDmKey(state.currentRoom)) {
+    hideMentionMenu();
+    return;
+  }
+
+  const query = match[2].toLowerCase();
+  const matches = state.users
+    .filter((username) => username !== state.currentUser && username.toLowerCase().startsWith(query))
+    .slice(0, MAX_MENTION_SUGGESTIONS);
+  if (matches.length === 0) {
+    hideMentionMenu();
+    return;
+  }
+
+  state.mentionMenu = {
+    kind: "mention",
+    input: textarea,
+    start: beforeCaret.length - match[2].length - 1,
+    matches: matches,
+    selected: 0,
+  };
+  renderMentionMenu();
+}
+
+/**
+ * Draws the autocomplete suggestions above the message box they belong to
+ */
+function renderMentionMenu() {
+  const menu = state.mentionMenu;
+  const menuEl = elements.mentionMenu;
+
+  menu.input.form.appendChild(menuEl);
+  menuEl.innerHTML = "";
+
+  menu.matches.forEach((match, index) => {
+    const li = document.createElement("li");
+    li.setAttribute("role", "option");
+    li.classList.toggle("active", index === menu.selected);
+    if (menu.kind === "command") {
+      li.innerHTML = `
+            <span class="command-name">/${escapeHtml(match.name)}</span>
+            <span class="command-usage">${escapeHtml(match.usage)}</span>
+            <span class="command-description">${escapeHtml(match.description)}</span>
+        `;
+    } else {
+      li.innerHTML = `
+            <span class="mention-avatar" style="color: ${getUserColor(match)}">${getInitials(match)}</span>
+            <span>${escapeHtml(match)}</span>
+        `;
+    }
+    // mousedown (not click) so the message box keeps focus
+    li.addEventListener("mousedown", (e) => {
+      e.preventDefault();
+      chooseMention(index);
+    });
+    menuEl.appendChild(li);
+  });
+
+  menuEl.classList.remove("hidden");
+}
+
+/**
+ * Closes the autocomplete suggestions
+ */
+function hideMentionMenu() {
+  state.mentionMenu = null;
+  elements.mentionMenu.classList.add("hidden");
+}
+
+/**
+ * Replaces the partial name or command being typed with a suggestion
+ * @param {number} index - Index of the suggestion
+ */
+function chooseMention(index) {
+  const menu = state.mentionMenu;
+  const input = menu.input;
+  const mention = menu.kind === "command" ? `/${menu.matches[index].name} ` : `@${menu.matches[index]} `;
+
+  input.value = input.value.slice(0, menu.start) + mention + input.value.slice(input.selectionStart);
+  input.selectionStart = input.selectionEnd = menu.start + mention.length;
+
+  hideMentionMenu();
+  resizeComposer(input);
+  input.focus();
+}
+
+/**
+ * Keyboard navigation for the autocomplete suggestions
+ * Handled keys are marked with preventDefault so the message isn't sent
+ * @param {KeyboardEvent} e - Keydown event in a message box
+ */
+function handleMentionKeydown(e) {
+  const menu = state.mentionMenu;
+  if (!menu || menu.input !== e.target) {
+    return;
+  }
+
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    menu.selected = (menu.selected + step + menu.matches.length) % menu.matches.length;
+    renderMentionMenu();
+  } else if (e.key === "Enter" || e.key === "Tab") {
+    e.preventDefault();
+    chooseMention(menu.selected);
+  } else if (e.key === "Escape") {
+    e.preventDefault();
+    hideMentionMenu();
+  }
+}
+
+/**
+ * Sends the message on Enter; Shift+Enter inserts a new line
+ * @param {KeyboardEvent} e - Keydown event in a message box
+ */
+function handleComposerKeydown(e) {
+  if (e.defaultPrevented) {
+    return;
+  }
+  if (e.key === "Enter" && !e.shiftKey && !e.isComposing) {
+    e.preventDefault();
+    e.target.form.requestSubmit();
+  }
+}
+
+/**
+ * Grows a message box to fit its text (up to the CSS max-height)
+ * @param {HTMLTextAreaElement} textarea - The message box
+ */
+function resizeComposer(textarea) {
+  textarea.style.height = "auto";
+  textarea.style.height = `${textarea.scrollHeight}px`;
+}
+
+/**
+ * Creates the local copy of a message the user is sending
+ * It is shown straight away and gets its real ID once the server confirms it.
+ * The client message ID is sent with every attempt, so the server can answer a
+ * retry of a message that already got through instead of posting it twice
+ * @param {Object} fields - { room } or { to }, plus any thread or attachment fields
+ * @param {string} message - Message text
+ * @returns {Object} - The pending message
+ */
+function createPendingMessage(fields, message) {
+  return Object.assign(
+    {
+      localId: `local-${state.nextLocalId++}`,
+      clientMessageId: crypto.randomUUID(),
+      username: state.currentUser,
+      message: message,
+      timestamp: new Date().toISOString(),
+    },
+    fields
+  );
+}
+
+/**
+ * Sends a message and tracks its delivery with an acknowledgement callback
+ * The message shows "Sending..." until the server confirms it, or "Failed" with a retry button
+ * @param {Object} messageData - Pending message from createPendingMessage
+ * @param {string} event - 'chat-message' or 'private-message'
+ * @param {Object} payload - Event payload
+ */
+function sendMessage(messageData, event, payload) {
+  payload.clientMessageId = messageData.clientMessageId;
+  messageData.outgoing = { event: event, payload: payload };
+  messageData.status = "sending";
+  messageData.error = null;
+  refreshMessage(messageData);
+
+  if (!socket.connected) {
+    messageData.status = "failed";
+    messageData.error = "You're offline.";
+    refreshMessage(messageData);
+    return;
+  }
+
+  socket.timeout(ACK_TIMEOUT_MS).emit(event, payload, (err, response) => {
+    if (err || !response.ok) {
+      messageData.status = "failed";
+      messageData.error = err ? "The server didn't respond." : response.error;
+    } else if (removeDuplicateCopy(messageData, response.id)) {
+      return;
+    } else {
+      messageData.id = response.id;
+      messageData.timestamp = response.timestamp;
+      messageData.status = "delivered";
+    }
+    refreshMessage(messageData);
+  });
+}
+
+/**
+ * Removes the local copy of a retried message if the first attempt's broadcast is already shown
+ * (the first attempt got through but its ack was lost, so the server answered the retry with its ID)
+ * @param {Object} messageData - Pending message that was just confirmed
+ * @param {string} id - Message ID from the server
+ * @returns {boolean} - True if the local copy was removed
+ */
+function removeDuplicateCopy(messageData, id) {
+  const thread = state.openThread;
+  const lists = [getRoomMessages(getConversationKey(messageData))];
+  if (thread && messageData.threadId === thread.id) {
+    lists.push(thread.replies);
+  }
+  if (!lists.some((list) => list.some((entry) => entry !== messageData && entry.id === id))) {
+    return false;
+  }
+
+  lists.forEach((list) => {
+    const index = list.indexOf(messageData);
+    if (index !== -1) {
+      list.splice(index, 1);
+    }
+  });
+  findMessageElements(messageData.localId).forEach((messageEl) => messageEl.remove());
+  return true;
+}
+
+/**
+ * Checks whether message text is a slash command ("//" sends the text as a message)
+ * @param {string} message - Message text
+ * @returns {boolean} - True for commands
+ */
+function isCommand(message) {
+  return message.startsWith("/") && !message.startsWith("//");
+}
+
+/**
+ * Sends a slash command
+ * Commands don't get a pending message: any message they post arrives as a
+ * normal broadcast, and replies and errors are shown as system messages
+ * @param {string} event - 'chat-message' or 'private-message'
+ * @param {Object} payload - Event payload
+ */
+function sendCommand(event, payload) {
+  const conversation = payload.room || dmKey(payload.to);
+
+  socket.timeout(ACK_TIMEOUT_MS).emit(event, payload, (err, response) => {
+    if (err) {
+      addSystemMessage("The server didn't respond.", "left", conversation);
+    } else if (!response.ok) {
+      addSystemMessage(response.error, "left", conversation);
+    }
+  });
+}
+
+/**
+ * Re-renders every copy of a message the user sent, including ones still keyed by local ID
+ * @param {Object} messageData - The message
+ */
+function refreshMessage(messageData) {
+  const copies = [...findMessageElements(messageData.localId)];
+  if (messageData.id) {
+    copies.push(...findMessageElements(messageData.id));
+  }
+
+  copies.forEach((messageEl) => {
+    messageEl.dataset.id = messageData.id || messageData.localId;
+    updateMessageElement(messageEl, messageData);
+  });
+}
+
+/**
+ * Adds files to the next message and starts uploading them
+ * @param {FileList|File[]} files - Files that were picked, pasted or dropped
+ */
+function addAttachments(files) {
+  Array.from(files).forEach((file) => {
+    if (state.pendingAttachments.length >= MAX_ATTACHMENTS) {
+      addSystemMessage(`You can attach up to ${MAX_ATTACHMENTS} files to a message.`, "left");
+      return;
+    }
+
+    const pending = {
+      localId: `upload-${state.nextLocalId++}`,
+      name: file.name,
+      status: "uploading",
+      error: null,
+      attachment: null,
+    };
+    state.pendingAttachments.push(pending);
+
+    // Checked here too so a file the server would refuse isn't uploaded first
+    const limits = state.uploadLimits;
+    if (limits && file.size > limits.maxBytes) {
+      pending.status = "failed";
+      pending.error = `Files must be ${limits.maxBytes / 1024 / 1024} MB or smaller.`;
+    } else if (limits && !limits.types.includes(getFileType(file))) {
+      pending.status = "failed";
+      pending.error = "That type of file can't be uploaded.";
+    } else {
+      uploadAttachment(pending, file);
+    }
+  });
+
+  renderAttachmentTray();
+}
+
+/**
+ * Gets the MIME type to upload a file as
+ * Browsers leave the type empty (or generic) for files they don't recognize, so it's guessed from the extension
+ * @param {File} file - The file
+ * @returns {string} - MIME type
+ */
+function getFileType(file) {
+  if (file.type && file.type !== "application/octet-stream") {
+    return file.type;
+  }
+  const extension = file.name.includes(".") ? `.${file.name.split(".").pop().toLowerCase()}` : "";
+  return TYPES_BY_EXTENSION[extension] || "application/octet-stream";
+}
+
+/**
+ * Uploads a file to the server and records the resulting attachment
+ * Uploads are authorized with the chat session's resume token
+ * @param {Object} pending - Entry in state.pendingAttachments
+ * @param {File} file - The file
+ */
+async function uploadAttachment(pending, file) {
+  try {
+    const response = await fetch(`${SERVER_URL}/uploads`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${sessionStorage.getItem(SESSION_STORAGE_KEY)}`,
+        "Content-Type": getFileType(file),
+        "X-File-Name": encodeURIComponent(file.name),
+      },
+      body: file,
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (response.ok) {
+      pending.status = "ready";
+      pending.attachment = result;
+    } else {
+      pending.status = "failed";
+      pending.error = result.error || "The upload failed.";
+    }
+  } catch (err) {
+    pending.status = "failed";
+    pending.error = "The upload failed. Check your connection.";
+  }
+
+  renderAttachmentTray();
+}
+
+/**
+ * Shows the files waiting to be sent above the message box
+ */
+function renderAttachmentTray() {
+  elements.attachmentTray.innerHTML = "";
+  elements.attachmentTray.classList.toggle("hidden", state.pendingAttachments.length === 0);
+
+  state.pendingAttachments.forEach((pending) => {
+    const chip = document.createElement("div");
+    chip.className = `attachment-chip ${pending.status}`;
+    chip.title = pending.error || pending.name;
+
+    const statusText = { uploading: "Uploading...", failed: "Failed", ready: "" }[pending.status];
+    chip.innerHTML = `
+            <span class="attachment-chip-name">${escapeHtml(pending.name)}</span>
+            <span class="attachment-chip-status">${statusText}</span>
+            <button type="button" class="attachment-remove" title="Remove">&times;</button>
+        `;
+    chip.querySelector(".attachment-remove").dataset.id = pending.localId;
+    elements.attachmentTray.appendChild(chip);
+  });
+}
+
+/**
+ * Removes a file from the next message when its × button is clicked
+ * @param {Event} e - Click event inside the attachment tray
+ */
+function handleAttachmentTrayClick(e) {
+  const button = e.target.closest(".attachment-remove");
+  if (!button) {
+    return;
+  }
+
+  state.pendingAttachments = state.pendingAttachments.filter((pending) => pending.localId !== button.dataset.id);
+  renderAttachmentTray();
+}
+
+/**
+ * Opens an image attachment full size
+ * @param {string} url - Image URL
+ * @param {string} name - File name
+ */
+function openLightbox(url, name) {
+  elements.lightboxImage.src = url;
+  elements.lightboxImage.alt = name;
+  elements.lightboxDownload.href = url;
+  elements.lightbox.classList.remove("hidden");
+}
+
+/**
+ * Closes the image lightbox
+ */
+function closeLightbox() {
+  elements.lightbox.classList.add("hidden");
+  elements.lightboxImage.removeAttribute("src");
+}
+
+/**
+ * Opens the lightbox when an image thumbnail is clicked
+ * @param {Event} e - Click event inside the messages container or thread panel
+ */
+function handleAttachmentClick(e) {
+  const thumbnail = e.target.closest(".attachment-image");
+  if (thumbnail) {
+    openLightbox(thumbnail.dataset.url, thumbnail.title);
+  }
+}
+
+/**
+ * Handles sending a chat message
+ * Files still uploading hold the message back until they're done
+ */
+function handleSendMessage(e) {
+  e.preventDefault();
+
+  const message = elements.messageInput.value.trim();
+
+  if (state.pendingAttachments.some((pending) => pending.status === "uploading")) {
+    return;
+  }
+  const attachments = state.pendingAttachments
+    .filter((pending) => pending.status === "ready")
+    .map((pending) => pending.attachment);
+
+  if (!message && attachments.length === 0) {
+    return;
+  }
+
+  const fields = attachments.length > 0 ? { attachments: attachments } : {};
+  const extraPayload = attachments.length > 0 ? { attachments: attachments.map((attachment) => attachment.id) } : {};
+
+  // Send to the open room or DM conversation
+  if (isCommand(message)) {
+    const target = isDmKey(state.currentRoom)
+      ? { to: state.currentRoom.slice(DM_PREFIX.length) }
+      : { room: state.currentRoom };
+    const event = target.to ? "private-message" : "chat-message";
+    sendCommand(event, Object.assign(target, { message: message }, extraPayload));
+  } else if (isDmKey(state.currentRoom)) {
+    const to = state.currentRoom.slice(DM_PREFIX.length);
+    const messageData = createPendingMessage(Object.assign({ to: to }, fields), message);
+    addMessage(messageData, true);
+    sendMessage(messageData, "private-message", Object.assign({ to: to, message: message }, extraPayload));
+  } else {
+    const messageData = createPendingMessage(Object.assign({ room: state.currentRoom }, fields), message);
+    addMessage(messageData, true);
+    sendMessage(
+      messageData,
+      "chat-message",
+      Object.assign({ room: state.currentRoom, message: message }, extraPayload)
+    );
+  }
+
+  // Clear input
+  elements.messageInput.value = "";
+  resizeComposer(elements.messageInput);
+  state.pendingAttachments = [];
+  renderAttachmentTray();
+  elements.messageInput.focus();
+
+  // Stop typing indicator
+  if (state.isTyping) {
+    socket.emit("stop-typing", state.currentRoom);
+    state.isTyping = false;
+  }
+}
+
+/**
+ * Handles typing events for the typing indicator
+ */
+function handleTyping() {
+  // Typing indicators are only shown in channels
+  if (isDmKey(state.currentRoom)) {
+    return;
+  }
+
+  // Repeat the signal now and then so the server doesn't expire it mid-sentence
+  const now = Date.now();
+  if (!state.isTyping || now - state.lastTypingSignal >= TYPING_REFRESH_MS) {
+    state.isTyping = true;
+    state.lastTypingSignal = now;
+    socket.emit("typing", state.currentRoom);
+  }
+
+  // Clear previous timeout
+  if (state.typingTimeout) {
+    clearTimeout(state.typingTimeout);
+  }
+
+  // Set timeout to stop typing after 2 seconds of inactivity
+  state.typingTimeout = setTimeout(() => {
+    state.isTyping = false;
+    socket.emit("stop-typing", state.currentRoom);
+  }, 2000);
+}
+
+/**
+ * Handles leaving the chat
+ */
+function handleLeaveChat() {
+  // Leaving on purpose - don't resume this session later
+  sessionStorage.removeItem(SESSION_STORAGE_KEY);
+
+  resetChat();
+
+  // Disconnect and reconnect socket to properly leave
+  socket.disconnect();
+  socket.connect();
+}
+
+/**
+ * Clears all chat state and returns to the login screen
+ */
+function resetChat() {
+  // Reset state
+  state.currentUser = null;
+  state.currentRoom = DEFAULT_ROOM;
+  state.joinedRooms.clear();
+  state.dmPartners = [];
+  state.roomUsers = {};
+  state.unread = {};
+  state.messages = {};
+  state.history = {};
+  state.mentions = [];
+  state.pendingAttachments = [];
+  state.typingUsers = {};
+  state.reportedSeen.clear();
+  clearTimeout(state.seenTimer);
+  state.seenTimer = null;
+
+  // Clear UI
+  forgetMessageElements(elements.messagesContainer);
+  elements.messagesContainer.innerHTML = `
+        <div class="welcome-message">
+            <h3>Welcome to the chat!</h3>
+            <p>Start a conversation with other users.</p>
+        </div>
+    `;
+  elements.channelsList.innerHTML = "";
+  elements.dmList.innerHTML = "";
+  renderMentionsList();
+  hideMentionMenu();
+  renderAttachmentTray();
+  closeLightbox();
+  elements.roomError.textContent = "";
+  elements.renameForm.classList.add("hidden");
+  elements.usernameInput.value = "";
+  elements.messageInput.value = "";
+  hideSlowDownNotice();
+  closeThread();
+
+  // Reset login button
+  elements.joinBtn.disabled = false;
+  elements.joinBtn.querySelector("span").textContent = "Join Chat";
+
+  // Switch to login screen
+  switchScreen("login");
+}
+
+/**
+ * Handles clicking a channel in the sidebar
+ * Opens joined rooms, asks the server to join the others
+ * @param {string} room - Room name
+ */
+function handleSelectRoom(room) {
+  elements.roomError.textContent = "";
+
+  if (state.joinedRooms.has(room)) {
+    switchRoom(room);
+  } else {
+    socket.emit("join-room", room);
+  }
+}
+
+/**
+ * Handles the create room form submission
+ */
+function handleCreateRoom(e) {
+  e.preventDefault();
+
+  const name = elements.roomNameInput.value.trim().toLowerCase();
+  if (!name) {
+    return;
+  }
+
+  socket.emit("create-room", name);
+  elements.roomNameInput.value = "";
+  elements.createRoomForm.classList.add("hidden");
+}
+
+/**
+ * Shows or hides the change-username form under the user's name
+ */
+function toggleRenameForm() {
+  const isHidden = elements.renameForm.classList.toggle("hidden");
+  elements.renameError.textContent = "";
+  if (!isHidden) {
+    elements.renameInput.value = state.currentUser;
+    elements.renameInput.select();
+  }
+}
+
+/**
+ * Handles the change-username form
+ * The server checks the new name the same way as when joining
+ */
+function handleRename(e) {
+  e.preventDefault();
+
+  const newName = elements.renameInput.value.trim();
+  if (!newName || newName === state.currentUser) {
+    toggleRenameForm();
+    return;
+  }
+  if (newName.length < 2) {
+    elements.renameError.textContent = "Username must be at least 2 characters";
+    return;
+  }
+  if (!USERNAME_PATTERN.test(newName)) {
+    elements.renameError.textContent = "Username may only contain letters, numbers, spaces, dots, dashes and underscores";
+    return;
+  }
+
+  socket.timeout(ACK_TIMEOUT_MS).emit("change-username", newName, (err, response) => {
+    if (err) {
+      elements.renameError.textContent = "The server didn't respond.";
+    } else if (!response.ok) {
+      elements.renameError.textContent = response.error;
+    } else {
+      elements.renameForm.classList.add("hidden");
+    }
+  });
+}
+
+/**
+ * Replaces a username everywhere the client shows it: the user's own name,
+ * member lists, typing indicators, DM conversations, the mentions inbox and
+ * every loaded message (authors, reactions, read receipts, repliers and mentions)
+ * @param {string} oldName - Previous username
+ * @param {string} newName - New username
+ */
+function applyRename(oldName, newName) {
+  const rename = (name) => (name === oldName ? newName : name);
+  const renameAll = (names) => names && names.map(rename);
+
+  if (state.currentUser === oldName) {
+    state.currentUser = newName;
+    elements.currentUsername.textContent = newName;
+    elements.userAvatar.textContent = getInitials(newName);
+  }
+
+  Object.keys(state.typingUsers).forEach((room) => {
+    state.typingUsers[room] = state.typingUsers[room].map(rename);
+  });
+  state.mentions.forEach((mention) => {
+    mention.username = rename(mention.username);
+  });
+
+  // DM conversations are keyed by the partner's name
+  const oldKey = dmKey(oldName);
+  const newKey = dmKey(newName);
+  if (state.dmPartners.includes(oldName)) {
+    state.dmPartners = state.dmPartners.map(rename);
+    state.messages[newKey] = state.messages[oldKey] || [];
+    state.unread[newKey] = state.unread[oldKey] || 0;
+    delete state.messages[oldKey];
+    delete state.unread[oldKey];
+    addSystemMessage(`${oldName} is now known as ${newName}`, "", newKey);
+  }
+  if (state.currentRoom === oldKey) {
+    state.currentRoom = newKey;
+    elements.roomTitle.textContent = `@ ${newName}`;
+  }
+
+  const loaded = Object.values(state.messages).flat();
+  if (state.openThread) {
+    loaded.push(state.openThread.parent, ...state.openThread.replies);
+  }
+  loaded.forEach((messageData) => {
+    if (!messageData || messageData.system) {
+      return;
+    }
+    messageData.username = rename(messageData.username);
+    if (messageData.to) {
+      messageData.to = rename(messageData.to);
+    }
+    if (messageData.outgoing && messageData.outgoing.payload.to) {
+      messageData.outgoing.payload.to = rename(messageData.outgoing.payload.to);
+    }
+    messageData.mentions = renameAll(messageData.mentions);
+    messageData.seenBy = renameAll(messageData.seenBy);
+    messageData.latestRepliers = renameAll(messageData.latestRepliers);
+    if (messageData.reactions) {
+      Object.keys(messageData.reactions).forEach((emoji) => {
+        messageData.reactions[emoji] = messageData.reactions[emoji].map(rename);
+      });
+    }
+  });
+
+  Object.keys(state.roomUsers).forEach((room) => {
+    if (state.roomUsers[room].includes(oldName)) {
+      state.roomUsers[room] = state.roomUsers[room].map(rename);
+      addSystemMessage(`${oldName} is now known as ${newName}`, "", room);
+    }
+  });
+
+  // Redraw without losing the scroll position
+  const scrollTop = elements.messagesContainer.scrollTop;
+  renderMessages();
+  elements.messagesContainer.scrollTop = scrollTop;
+  renderThread();
+  if (!isDmKey(state.currentRoom)) {
+    updateUsersList(state.roomUsers[state.currentRoom] || []);
+  }
+  renderDmList();
+  renderMentionsList();
+  renderTypingIndicator();
+}
+
+/**
+ * Handles leaving the currently open room
+ */
+function handleLeaveRoom() {
+  if (state.currentRoom === DEFAULT_ROOM) {
+    return;
+  }
+  socket.emit("leave-room", state.currentRoom);
+}
+
+/**
+ * Handles clicks on a message's Reply / Edit / Delete buttons and thread links
+ * @param {Event} e - Click event inside the messages container or thread panel
+ */
+function handleMessageAction(e) {
+  const button = e.target.closest(".msg-action, .msg-retry, .thread-summary, .thread-link");
+  if (!button) {
+    return;
+  }
+
+  const messageEl = button.closest(".message");
+  const messageData = findMessage(state.currentRoom, messageEl.dataset.id);
+  if (!messageData) {
+    return;
+  }
+
+  if (button.dataset.action === "retry") {
+    sendMessage(messageData, messageData.outgoing.event, messageData.outgoing.payload);
+  } else if (button.dataset.action === "reply" || button.dataset.action === "open-thread") {
+    openThread(messageData.room, messageData.threadId || messageData.id);
+  } else if (button.dataset.action === "delete") {
+    if (confirm("Delete this message? This can't be undone.")) {
+      socket.emit("delete-message", { room: messageData.room, id: messageData.id });
+    }
+  } else if (button.dataset.action === "edit") {
+    startEditingMessage(messageEl, messageData);
+  }
+}
+
+/**
+ * Handles clicks on reaction chips, the "+" button and the emoji picker
+ * Clicking a chip toggles the user's own reaction
+ * @param {Event} e - Click event inside the messages container or thread panel
+ */
+function handleReactionClick(e) {
+  const target = e.target.closest(".reaction-chip, .reaction-add, .reaction-choice");
+  const openPicker = document.querySelector(".reaction-picker");
+
+  // Any click closes an open picker (a click on "+" reopens it below)
+  if (openPicker && !(target && target.classList.contains("reaction-choice"))) {
+    openPicker.remove();
+  }
+  if (!target) {
+    return;
+  }
+
+  const messageEl = target.closest(".message");
+  const messageData = findMessage(state.currentRoom, messageEl.dataset.id);
+  if (!messageData || messageData.deleted) {
+    return;
+  }
+
+  if (target.classList.contains("reaction-add")) {
+    if (openPicker && openPicker.closest(".message") === messageEl) {
+      return;
+    }
+    const picker = document.createElement("div");
+    picker.className = "reaction-picker";
+    REACTION_CHOICES.forEach((emoji) => {
+      const choice = document.createElement("button");
+      choice.type = "button";
+      choice.className = "reaction-choice";
+      choice.dataset.emoji = emoji;
+      choice.textContent = emoji;
+      picker.appendChild(choice);
+    });
+    target.after(picker);
+    return;
+  }
+
+  const emoji = target.dataset.emoji;
+  const reacted = ((messageData.reactions || {})[emoji] || []).includes(state.currentUser);
+  socket.emit(reacted ? "remove-reaction" : "add-reaction", { room: messageData.room, id: messageData.id, emoji: emoji });
+
+  if (openPicker) {
+    openPicker.remove();
+  }
+}
+
+/**
+ * Replaces a message's text with an inline editor
+ * Enter saves (Shift+Enter adds a line), Escape cancels
+ * @param {HTMLElement} messageEl - The message element
+ * @param {Object} messageData - The message
+ */
+function startEditingMessage(messageEl, messageData) {
+  const textEl = messageEl.querySelector(".msg-text");
+  if (textEl.querySelector(".msg-edit-input")) {
+    return;
+  }
+
+  const input = document.createElement("textarea");
+  input.className = "msg-edit-input";
+  input.maxLength = 500;
+  input.rows = Math.min(messageData.message.split("\n").length, 10);
+  input.value = messageData.message;
+
+  textEl.innerHTML = "";
+  textEl.appendChild(input);
+  input.focus();
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      const text = input.value.trim();
+      if (text && text !== messageData.message) {
+        socket.emit("edit-message", { room: messageData.room, id: messageData.id, message: text });
+      }
+      updateMessageElement(messageEl, messageData);
+    } else if (e.key === "Escape") {
+      updateMessageElement(messageEl, messageData);
+    }
+  });
+  input.addEventListener("blur", () => updateMessageElement(messageEl, messageData));
+}
+
+/**
+ * Opens a message's thread in the side panel and asks the server for its replies
+ * @param {string} room - Room name
+ * @param {string} id - Parent message ID
+ */
+function openThread(room, id) {
+  const thread = state.openThread;
+  if (!thread || thread.room !== room || thread.id !== id) {
+    state.openThread = { room: room, id: id, parent: findMessage(room, id) || null, replies: [] };
+    socket.emit("load-thread", { room: room, id: id });
+  }
+
+  elements.threadAlsoLabel.textContent = `Also send to #${room}`;
+  elements.threadAlsoToChannel.checked = false;
+  elements.threadPanel.classList.remove("hidden");
+  renderThread();
+  elements.threadInput.focus();
+}
+
+/**
+ * Closes the thread side panel
+ */
+function closeThread() {
+  state.openThread = null;
+  forgetMessageElements(elements.threadPanel);
+  elements.threadPanel.classList.add("hidden");
+  elements.threadParent.innerHTML = "";
+  elements.threadReplies.innerHTML = "";
+  elements.threadInput.value = "";
+}
+
+/**
+ * Renders the parent message and replies of the open thread
+ */
+function renderThread() {
+  const thread = state.openThread;
+  forgetMessageElements(elements.threadPanel);
+  elements.threadParent.innerHTML = "";
+  elements.threadReplies.innerHTML = "";
+
+  if (!thread) {
+    return;
+  }
+
+  if (thread.parent) {
+    elements.threadParent.appendChild(createMessageElement(thread.parent, thread.parent.username === state.currentUser));
+  }
+  thread.replies.forEach((reply) => {
+    elements.threadReplies.appendChild(createMessageElement(reply, reply.username === state.currentUser));
+  });
+
+  elements.threadReplies.scrollTop = elements.threadReplies.scrollHeight;
+}
+
+/**
+ * Adds a new reply to the thread panel if its thread is open
+ * @param {Object} messageData - Reply with threadId
+ * @param {boolean} isOwn - Whether this is the current user's reply
+ */
+function addThreadReply(messageData, isOwn) {
+  const thread = state.openThread;
+  if (!thread || thread.room !== messageData.room || thread.id !== messageData.threadId) {
+    return;
+  }
+
+  const existing = messageData.id && thread.replies.find((reply) => reply.id === messageData.id);
+  if (existing) {
+    Object.assign(existing, messageData);
+    findMessageElements(existing.id).forEach((messageEl) => updateMessageElement(messageEl, existing));
+    return;
+  }
+
+  thread.replies.push(messageData);
+  elements.threadReplies.appendChild(createMessageElement(messageData, isOwn));
+  elements.threadReplies.scrollTop = elements.threadReplies.scrollHeight;
+}
+
+/**
+ * Handles thread reply form submission
+ * @param {Event} e - Form submit event
+ */
+function handleSendThreadReply(e) {
+  e.preventDefault();
+
+  const thread = state.openThread;
+  const message = elements.threadInput.value.trim();
+  if (!thread || !message) {
+    return;
+  }
+
+  const alsoToChannel = elements.threadAlsoToChannel.checked;
+  if (isCommand(message)) {
+    sendCommand("chat-message", {
+      room: thread.room,
+      message: message,
+      threadId: thread.id,
+      alsoToChannel: alsoToChannel,
+    });
+    elements.threadInput.value = "";
+    resizeComposer(elements.threadInput);
+    return;
+  }
+
+  const messageData = createPendingMessage({ room: thread.room, threadId: thread.id }, message);
+  if (alsoToChannel) {
+    messageData.alsoToChannel = true;
+    addMessage(messageData, true);
+  }
+  addThreadReply(messageData, true);
+
+  sendMessage(messageData, "chat-message", {
+    room: thread.room,
+    message: message,
+    threadId: thread.id,
+    alsoToChannel: alsoToChannel,
+  });
+
+  elements.threadInput.value = "";
+  resizeComposer(elements.threadInput);
+  elements.threadInput.focus();
+}
+
+/**
+ * Toggles the mobile sidebar
+ */
+function toggleMobileSidebar() {
+  elements.sidebar.classList.toggle("open");
+
+  // Handle overlay
+  let overlay = document.querySelector(".sidebar-overlay");
+  if (!overlay) {
+    overlay = document.createElement("div");
+    overlay.classList.add("sidebar-overlay");
+    overlay.addEventListener("click", toggleMobileSidebar);
+    document.body.appendChild(overlay);
+  }
   overlay.classList.toggle("active");
 }
 
@@ -415,19 +2315,102 @@ socket.on("connect", () => {
   console.log("[SOCKET] Connected to server");
   state.isConnected = true;
   updateConnectionStatus(true);
+
+  // Finish joining after reconnecting with a new login token
+  if (state.pendingJoin) {
+    socket.emit("user-join", state.pendingJoin);
+    state.pendingJoin = null;
+  }
+});
+
+// Handshake rejected (expired or invalid login token)
+socket.on("connect_error", (err) => {
+  console.log(`[SOCKET] Connection error: ${err.message}`);
+
+  // Middleware rejections aren't retried automatically
+  if (socket.active) {
+    return;
+  }
+
+  state.pendingJoin = null;
+  elements.joinBtn.disabled = false;
+  elements.joinBtn.querySelector("span").textContent = "Join Chat";
+  showLoginError(err.message);
+
+  // Drop a rejected login token and connect as a guest (a banned address stays disconnected)
+  if (getStoredAuth()) {
+    setStoredAuth(null);
+    socket.connect();
+  }
+});
+
+// Logged in or registered - reconnect with the token, then join
+socket.on("auth-success", (data) => {
+  console.log(`[SOCKET] Authenticated as ${data.username}`);
+
+  setStoredAuth({ username: data.username, token: data.token });
+  elements.passwordInput.value = "";
+  state.pendingJoin = data.username;
+  reconnectWithAuth();
+});
+
+// The server rejected an event's payload
+socket.on("validation-error", (data) => {
+  console.log(`[SOCKET] Rejected ${data.event}: ${data.error}`);
+
+  if (LOGIN_EVENTS.includes(data.event)) {
+    elements.joinBtn.disabled = false;
+    elements.joinBtn.querySelector("span").textContent = "Join Chat";
+    showLoginError(data.error);
+  } else if (data.event === "create-room") {
+    elements.roomError.textContent = data.error;
+  } else if (data.event === "change-username") {
+    elements.renameError.textContent = data.error;
+  } else if (state.currentUser && !MESSAGE_EVENTS.includes(data.event)) {
+    addSystemMessage(data.error, "left");
+  }
+});
+
+// The server dropped an event for going over a flood limit
+socket.on("rate-limited", (data) => {
+  console.log(`[SOCKET] Rate limited ${data.event}: ${data.reason}`);
+
+  if (LOGIN_EVENTS.includes(data.event)) {
+    elements.joinBtn.disabled = false;
+    elements.joinBtn.querySelector("span").textContent = "Join Chat";
+    showLoginError(`Too many attempts. Try again in ${Math.ceil(data.retryAfterMs / 1000)}s.`);
+    return;
+  }
+
+  showSlowDownNotice(data.reason, data.retryAfterMs);
+});
+
+// Login or registration failed
+socket.on("auth-error", (errorMessage) => {
+  console.log(`[SOCKET] Auth error: ${errorMessage}`);
+
+  elements.joinBtn.disabled = false;
+  elements.joinBtn.querySelector("span").textContent = "Join Chat";
+  showLoginError(errorMessage);
 });
 
 // Connection lost
-socket.on("disconnect", () => {
+socket.on("disconnect", (reason) => {
   console.log("[SOCKET] Disconnected from server");
   state.isConnected = false;
   updateConnectionStatus(false);
-});
 
-// Successful join
-socket.on("join-success", (username) => {
-  console.log(`[SOCKET] Successfully joined as ${username}`);
+  // Kicked by a moderator - the client won't reconnect on its own, so go back to the login screen
+  if (reason === "io server disconnect") {
+    socket.connect();
+  }
+});
 
+/**
+ * Shows the chat screen for a joined (or resumed) user
+ * @param {string} username - The user's username
+ */
+function enterChat(username) {
   state.currentUser = username;
 
   // Update UI with username
@@ -443,6 +2426,49 @@ socket.on("join-success", (username) => {
 
   // Clear any errors
   clearLoginError();
+}
+
+// Successful join
+socket.on("join-success", (username) => {
+  console.log(`[SOCKET] Successfully joined as ${username}`);
+  enterChat(username);
+});
+
+// New session started - keep its token so a dropped connection or reload can resume it
+socket.on("session-created", (data) => {
+  sessionStorage.setItem(SESSION_STORAGE_KEY, data.token);
+});
+
+// Reconnected within the grace period - still the same user in the same rooms
+socket.on("session-resumed", (data) => {
+  console.log(`[SOCKET] Resumed session as ${data.username}`);
+  enterChat(data.username);
+});
+
+// The session could not be resumed - start over from the login screen
+socket.on("session-expired", () => {
+  console.log("[SOCKET] Session expired");
+
+  sessionStorage.removeItem(SESSION_STORAGE_KEY);
+  const wasChatting = Boolean(state.currentUser);
+  resetChat();
+  if (wasChatting) {
+    showLoginError("You were disconnected for too long. Please join again.");
+  }
+});
+
+// Another tab or window resumed this session (e.g. a duplicated tab) - this one is no longer part of it
+socket.on("session-replaced", () => {
+  console.log("[SOCKET] Session taken over by another connection");
+
+  sessionStorage.removeItem(SESSION_STORAGE_KEY);
+  resetChat();
+  showLoginError("This chat session was picked up in another tab or window.");
+});
+
+// Slash commands available on this server (for autocomplete)
+socket.on("command-list", (commands) => {
+  state.commands = commands;
 });
 
 // Join error (username taken, etc.)
@@ -457,48 +2483,332 @@ socket.on("join-error", (errorMessage) => {
   showLoginError(errorMessage);
 });
 
-// User joined the chat
+// Online user count (shown on the login screen)
+socket.on("online-count", (count) => {
+  elements.loginUserCount.textContent = count;
+});
+
+// Which files the server accepts as attachments
+socket.on("upload-limits", (limits) => {
+  state.uploadLimits = limits;
+  elements.fileInput.accept = limits.types.join(",");
+});
+
+// Room list changed (room created or membership counts changed)
+socket.on("room-list", (rooms) => {
+  state.rooms = rooms;
+  renderChannelList();
+
+  // Keep the topic of the open room current
+  const current = rooms.find((room) => room.name === state.currentRoom);
+  if (current) {
+    elements.roomTopic.textContent = current.topic;
+  }
+});
+
+// Joined a room - open it
+socket.on("room-joined", (data) => {
+  console.log(`[SOCKET] Joined room #${data.room}`);
+
+  state.joinedRooms.add(data.room);
+  state.roomUsers[data.room] = data.users;
+
+  // A resumed session keeps whichever room was already open
+  if (!data.resumed || data.room === state.currentRoom) {
+    switchRoom(data.room);
+  } else {
+    renderChannelList();
+  }
+});
+
+// Recent history for a room we just joined
+socket.on("message-history", (data) => {
+  console.log(`[SOCKET] Received ${data.messages.length} past messages for #${data.room}`);
+
+  // Merge without duplicates: history older than what we have goes first (initial join),
+  // anything newer was missed while reconnecting and goes last
+  const existing = getRoomMessages(data.room);
+  const seen = new Set(existing.map((entry) => entry.id).filter(Boolean));
+  const unseen = data.messages.filter((messageData) => !seen.has(messageData.id));
+  const firstKnown = existing.find((entry) => entry.timestamp);
+  const older = unseen.filter((messageData) => !firstKnown || messageData.timestamp < firstKnown.timestamp);
+  const newer = unseen.filter((messageData) => firstKnown && messageData.timestamp >= firstKnown.timestamp);
+  state.messages[data.room] = older.concat(existing, newer);
+  state.history[data.room] = { hasMore: data.hasMore, loading: false };
+
+  if (data.room === state.currentRoom) {
+    renderMessages();
+  }
+});
+
+// Parent message and replies of the thread opened in the side panel
+socket.on("thread-history", (data) => {
+  const thread = state.openThread;
+  if (!thread || thread.room !== data.room || thread.id !== data.id) {
+    return;
+  }
+
+  // Reuse messages already in the feed so edits and reactions update both copies
+  const replies = data.replies.map((reply) => findMessage(data.room, reply.id) || reply);
+  const seen = new Set(replies.map((reply) => reply.id));
+  thread.parent = findMessage(data.room, data.id) || data.parent;
+  thread.replies = replies.concat(thread.replies.filter((reply) => !seen.has(reply.id)));
+
+  renderThread();
+});
+
+// A page of older messages from scrolling back
+socket.on("message-history-page", (data) => {
+  console.log(`[SOCKET] Loaded ${data.messages.length} older messages for #${data.room}`);
+
+  state.history[data.room] = { hasMore: data.hasMore, loading: false };
+  prependMessages(data.room, data.messages);
+});
+
+// Left a room - fall back to the default channel
+socket.on("room-left", (data) => {
+  console.log(`[SOCKET] Left room #${data.room}`);
+
+  state.joinedRooms.delete(data.room);
+  delete state.roomUsers[data.room];
+  delete state.unread[data.room];
+  delete state.messages[data.room];
+  delete state.history[data.room];
+  delete state.typingUsers[data.room];
+
+  if (state.currentRoom === data.room) {
+    switchRoom(DEFAULT_ROOM);
+  } else {
+    renderChannelList();
+  }
+});
+
+// Room action failed (bad name, room missing, etc.)
+socket.on("room-error", (errorMessage) => {
+  console.log(`[SOCKET] Room error: ${errorMessage}`);
+  elements.roomError.textContent = errorMessage;
+});
+
+// User joined a room
 socket.on("user-joined", (data) => {
-  console.log(`[SOCKET] User joined: ${data.username}`);
+  console.log(`[SOCKET] User joined #${data.room}: ${data.username}`);
 
-  updateUsersList(data.users);
+  state.roomUsers[data.room] = data.users;
+  if (data.room === state.currentRoom) {
+    updateUsersList(data.users);
+  }
 
   // Only show system message if not our own join
   if (data.username !== state.currentUser) {
-    addSystemMessage(`${data.username} joined the chat`, "joined");
+    addSystemMessage(`${data.username} joined #${data.room}`, "joined", data.room);
   }
 });
 
-// User left the chat
+// User left a room
 socket.on("user-left", (data) => {
-  console.log(`[SOCKET] User left: ${data.username}`);
+  console.log(`[SOCKET] User left #${data.room}: ${data.username}`);
 
-  updateUsersList(data.users);
-  addSystemMessage(`${data.username} left the chat`, "left");
+  state.roomUsers[data.room] = data.users;
+  if (data.room === state.currentRoom) {
+    updateUsersList(data.users);
+  }
 
-  // Hide typing indicator if the leaving user was typing
-  hideTypingIndicator();
+  addSystemMessage(`${data.username} left #${data.room}`, "left", data.room);
 });
 
 // New message received
 socket.on("new-message", (messageData) => {
-  console.log(`[SOCKET] New message from ${messageData.username}`);
+  console.log(`[SOCKET] New message in #${messageData.room} from ${messageData.username}`);
+
+  const isOwn = messageData.username === state.currentUser;
+  if (messageData.threadId) {
+    addThreadReply(messageData, isOwn);
+  }
+
+  // Thread replies only show up in the channel if the sender chose to
+  if (!messageData.threadId || messageData.alsoToChannel) {
+    addMessage(messageData, isOwn);
+  }
+});
 
+// New direct message received (or our own DM echoed back)
+socket.on("new-private-message", (messageData) => {
   const isOwn = messageData.username === state.currentUser;
+  const partner = isOwn ? messageData.to : messageData.username;
+
+  console.log(`[SOCKET] Direct message with ${partner}`);
+
+  if (!state.dmPartners.includes(partner)) {
+    state.dmPartners.push(partner);
+  }
   addMessage(messageData, isOwn);
+  renderDmList();
+});
+
+// Direct message could not be delivered
+socket.on("dm-error", (data) => {
+  console.log(`[SOCKET] DM error: ${data.error}`);
+  addSystemMessage(data.error, "left", dmKey(data.to));
+});
+
+// A message was edited by its author
+socket.on("message-updated", (data) => {
+  const messageData = findMessage(data.room, data.id);
+  if (!messageData) {
+    return;
+  }
+
+  messageData.message = data.message;
+  messageData.editedAt = data.editedAt;
+  messageData.mentions = data.mentions;
+
+  findMessageElements(data.id).forEach((messageEl) => updateMessageElement(messageEl, messageData));
+});
+
+// A message was deleted by its author
+socket.on("message-deleted", (data) => {
+  const messageData = findMessage(data.room, data.id);
+  if (!messageData) {
+    return;
+  }
+
+  messageData.message = "";
+  messageData.attachments = [];
+  messageData.deleted = true;
+  messageData.deletedAt = data.deletedAt;
+
+  findMessageElements(data.id).forEach((messageEl) => updateMessageElement(messageEl, messageData));
+});
+
+// Someone mentioned the user - add it to the mentions inbox
+socket.on("mentioned", (data) => {
+  console.log(`[SOCKET] Mentioned by ${data.username} in #${data.room}`);
+
+  // An edit can mention the user again - keep a single entry per message
+  const others = state.mentions.filter((mention) => mention.id !== data.id);
+  state.mentions = [Object.assign({ read: false }, data)].concat(others).slice(0, MAX_INBOX_MENTIONS);
+  renderMentionsList();
+});
+
+// A thread got a new reply - refresh the parent's reply count
+socket.on("thread-updated", (data) => {
+  const messageData = findMessage(data.room, data.id);
+  if (!messageData) {
+    return;
+  }
+
+  messageData.replyCount = data.replyCount;
+  messageData.latestRepliers = data.latestRepliers;
+  messageData.lastReplyAt = data.lastReplyAt;
+
+  findMessageElements(data.id).forEach((messageEl) => renderThreadSummary(messageEl, messageData));
+});
+
+// Other users saw some of the messages in a room
+socket.on("messages-seen", (data) => {
+  data.ids.forEach((id) => {
+    const messageData = findMessage(data.room, id);
+    if (!messageData) {
+      return;
+    }
+
+    const others = (messageData.seenBy || []).filter((name) => name !== data.username);
+    messageData.seenBy = others.concat(data.username);
+    findMessageElements(id).forEach((messageEl) => renderMessageStatus(messageEl, messageData));
+  });
+});
+
+// Someone added or removed a reaction
+socket.on("reaction-updated", (data) => {
+  const messageData = findMessage(data.room, data.id);
+  if (!messageData) {
+    return;
+  }
+
+  const reactions = Object.assign({}, messageData.reactions);
+  const usernames = (reactions[data.emoji] || []).filter((name) => name !== data.username);
+  if (data.action === "add") {
+    usernames.push(data.username);
+  }
+  if (usernames.length > 0) {
+    reactions[data.emoji] = usernames;
+  } else {
+    delete reactions[data.emoji];
+  }
+  messageData.reactions = reactions;
+
+  findMessageElements(data.id).forEach((messageEl) => renderReactions(messageEl, messageData));
+});
+
+// Editing, deleting or reacting to a message failed
+socket.on("message-error", (errorMessage) => {
+  console.log(`[SOCKET] Message error: ${errorMessage}`);
+  addSystemMessage(errorMessage, "left");
+});
+
+// A slash command answered (only the user who ran it sees this)
+socket.on("command-result", (data) => {
+  addSystemMessage(data.text, "command", data.room || dmKey(data.to));
+});
+
+// Someone changed a channel's topic (the header updates from the room list)
+socket.on("topic-changed", (data) => {
+  addSystemMessage(`${data.username} changed the topic to: ${data.topic}`, "", data.room);
+});
+
+// A moderator kicked, muted or banned someone (or lifted a mute or ban)
+socket.on("moderation", (data) => {
+  console.log(`[SOCKET] ${data.moderator}: ${data.action} ${data.username}`);
+
+  const reason = data.reason ? `: ${data.reason}` : "";
+  const texts = {
+    kick: `${data.username} was kicked by ${data.moderator}${reason}`,
+    ban: `${data.username} was banned by ${data.moderator}${reason}`,
+    unban: `${data.username} was unbanned by ${data.moderator}`,
+    mute: `${data.username} was muted for ${formatDuration(data.durationMs)} by ${data.moderator}${reason}`,
+    unmute: `${data.username} was unmuted by ${data.moderator}`,
+  };
+
+  // Show it in every channel the user is in, or the current one if none
+  const rooms = Array.from(state.joinedRooms).filter((room) => (state.roomUsers[room] || []).includes(data.username));
+  (rooms.length > 0 ? rooms : [state.currentRoom]).forEach((room) => {
+    addSystemMessage(texts[data.action], "moderation", room);
+  });
+
+  if (data.username === state.currentUser && data.action === "mute") {
+    showSlowDownNotice("moderated", data.durationMs);
+  } else if (data.username === state.currentUser && data.action === "unmute") {
+    hideSlowDownNotice();
+  }
+});
 
-  // Hide typing indicator when message is received
-  hideTypingIndicator();
+// A message was flagged by the server's filters (only moderators get this)
+socket.on("message-flagged", (data) => {
+  addSystemMessage(`⚑ Flagged message from ${data.username}: ${data.reasons.join(", ")}`, "moderation", data.room);
 });
 
-// User is typing
-socket.on("user-typing", (username) => {
-  showTypingIndicator(username);
+// A moderator removed us from the chat
+socket.on("kicked", (data) => {
+  console.log(`[SOCKET] ${data.action === "ban" ? "Banned" : "Kicked"} by ${data.moderator}`);
+
+  sessionStorage.removeItem(SESSION_STORAGE_KEY);
+  resetChat();
+  const what = data.action === "ban" ? "banned" : "kicked";
+  showLoginError(`You were ${what} by ${data.moderator}${data.reason ? `: ${data.reason}` : "."}`);
+});
+
+// Someone changed their username
+socket.on("user-renamed", (data) => {
+  console.log(`[SOCKET] ${data.oldName} is now ${data.newName}`);
+  applyRename(data.oldName, data.newName);
 });
 
-// User stopped typing
-socket.on("user-stop-typing", () => {
-  hideTypingIndicator();
+// The set of users typing in a room changed
+socket.on("typing-users", (data) => {
+  state.typingUsers[data.room] = data.usernames;
+  if (data.room === state.currentRoom) {
+    renderTypingIndicator();
+  }
 });
 
 // ===== Initialize Event Listeners =====
@@ -512,20 +2822,116 @@ elements.usernameInput.addEventListener("input", (e) => {
   clearLoginError();
 });
 
+// Account controls
+elements.signupBtn.addEventListener("click", handleSignup);
+elements.logoutBtn.addEventListener("click", handleLogout);
+
 // Message form submission
 elements.messageForm.addEventListener("submit", handleSendMessage);
 
 // Typing indicator
 elements.messageInput.addEventListener("input", handleTyping);
 
+// @mention suggestions, Enter to send, Shift+Enter for a new line; boxes grow with their text
+[elements.messageInput, elements.threadInput].forEach((textarea) => {
+  textarea.addEventListener("keydown", handleMentionKeydown);
+  textarea.addEventListener("keydown", handleComposerKeydown);
+  textarea.addEventListener("input", () => {
+    resizeComposer(textarea);
+    updateMentionMenu(textarea);
+  });
+  textarea.addEventListener("blur", hideMentionMenu);
+});
+
+// Edit / Delete buttons on messages
+elements.messagesContainer.addEventListener("click", handleMessageAction);
+
+// Attachments: the paperclip button, pasted screenshots and files dropped on the message box
+elements.attachBtn.addEventListener("click", () => elements.fileInput.click());
+elements.fileInput.addEventListener("change", () => {
+  addAttachments(elements.fileInput.files);
+  elements.fileInput.value = "";
+});
+elements.messageInput.addEventListener("paste", (e) => {
+  if (e.clipboardData.files.length > 0) {
+    e.preventDefault();
+    addAttachments(e.clipboardData.files);
+  }
+});
+elements.messageForm.addEventListener("dragover", (e) => e.preventDefault());
+elements.messageForm.addEventListener("drop", (e) => {
+  e.preventDefault();
+  addAttachments(e.dataTransfer.files);
+});
+elements.attachmentTray.addEventListener("click", handleAttachmentTrayClick);
+
+// Image thumbnails open in the lightbox; click outside the image or press Escape to close it
+elements.messagesContainer.addEventListener("click", handleAttachmentClick);
+elements.threadPanel.addEventListener("click", handleAttachmentClick);
+elements.lightboxClose.addEventListener("click", closeLightbox);
+elements.lightbox.addEventListener("click", (e) => {
+  if (e.target === elements.lightbox) {
+    closeLightbox();
+  }
+});
+document.addEventListener("keydown", (e) => {
+  if (e.key === "Escape" && !elements.lightbox.classList.contains("hidden")) {
+    closeLightbox();
+  }
+});
+
+// Reaction chips and picker
+elements.messagesContainer.addEventListener("click", handleReactionClick);
+
+// Thread panel
+elements.threadPanel.addEventListener("click", handleMessageAction);
+elements.threadPanel.addEventListener("click", handleReactionClick);
+elements.threadForm.addEventListener("submit", handleSendThreadReply);
+elements.threadCloseBtn.addEventListener("click", closeThread);
+
+// Load older messages when scrolled to the top
+elements.messagesContainer.addEventListener("scroll", () => {
+  if (elements.messagesContainer.scrollTop < 40) {
+    loadOlderMessages();
+  }
+});
+
 // Leave chat button
 elements.leaveBtn.addEventListener("click", handleLeaveChat);
 
+// Channel controls
+elements.createRoomBtn.addEventListener("click", () => {
+  elements.createRoomForm.classList.toggle("hidden");
+  elements.roomNameInput.focus();
+});
+elements.createRoomForm.addEventListener("submit", handleCreateRoom);
+
+// Change username
+elements.renameBtn.addEventListener("click", toggleRenameForm);
+elements.renameForm.addEventListener("submit", handleRename);
+elements.renameInput.addEventListener("keydown", (e) => {
+  if (e.key === "Escape") {
+    toggleRenameForm();
+  }
+});
+elements.leaveRoomBtn.addEventListener("click", handleLeaveRoom);
+
+// Report messages that were on screen while the tab was in the background
+document.addEventListener("visibilitychange", scheduleSeenReport);
+
 // Mobile menu toggle
 elements.mobileMenuBtn.addEventListener("click", toggleMobileSidebar);
 
 // Focus username input on load
 window.addEventListener("load", () => {
+  updateAccountStatus();
+
+  // A saved session will be resumed as soon as the socket connects
+  if (sessionStorage.getItem(SESSION_STORAGE_KEY)) {
+    elements.joinBtn.disabled = true;
+    elements.joinBtn.querySelector("span").textContent = "Reconnecting...";
+  }
+
   elements.usernameInput.focus();
 });
 
@@ -0,0 +1,247 @@
+/**
+ * ChatWave - Safe Markdown Renderer
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Turns message text into HTML with a small, fixed subset of Markdown:
+ * - **bold**, *italic* / _italic_, ~~strikethrough~~
+ * - `inline code`
+ * - ```lang fenced code blocks``` with basic syntax highlighting
+ * - http(s) URLs become links
+ *
+ * Safety: the input is never inserted as HTML. Every piece of user text goes
+ * through escapeHtml() before it is wrapped in one of the fixed tags above,
+ * and links are only created for http:// and https:// URLs. Anything else
+ * (raw HTML, javascript: URLs, unclosed markers) is shown as plain text.
+ *
+ * Has no DOM dependencies, so it can be loaded in the browser (as the global
+ * ChatMarkdown) or required from Node.
+ */
+
+(function (root) {
+  // Fenced code block: ```lang\ncode``` (the language tag is optional)
+  const FENCE_PATTERN = /```([\w+#-]*)[ \t]*\n?([\s\S]*?)```/g;
+
+  // Inline code span: `code` (no newlines)
+  const INLINE_CODE_PATTERN = /`([^`\n]+)`/g;
+
+  // http(s) URLs up to whitespace or characters that can't appear unescaped in a URL
+  const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]+/g;
+
+  // Punctuation that usually ends a sentence rather than a URL
+  const URL_TRAILING_PUNCTUATION = /[.,;:!?)\]}*_~]+$/;
+
+  // Emphasis, applied to already-escaped text. Markers must hug the text
+  // (`a * b * c` stays as is), a single `*` can't be half of a `**`, and `_`
+  // must not be inside a word (snake_case) or follow a backslash (so ¯\_(ツ)_/¯
+  // survives). When two rules match at the same place, the earlier one wins.
+  const EMPHASIS_RULES = [
+    { pattern: /\*\*(?=\S)([^\n]*?\S)\*\*/g, tag: "strong" },
+    { pattern: /~~(?=\S)([^\n]*?\S)~~/g, tag: "del" },
+    { pattern: /\*(?=[^\s*])([^*\n<]*?[^\s*<])\*/g, tag: "em" },
+    { pattern: /(^|[^\w\\])_(?=\S)([^_\n<]*?[^\s<])_(?!\w)/g, tag: "em", keepPrefix: true },
+  ];
+
+  // Keywords highlighted in code blocks, by language family
+  const KEYWORDS = {
+    c: [
+      "async", "await", "break", "case", "catch", "class", "const", "continue", "default", "delete", "do", "else",
+      "enum", "export", "extends", "false", "finally", "for", "from", "function", "if", "import", "in", "instanceof",
+      "interface", "let", "new", "null", "package", "private", "protected", "public", "return", "static", "struct",
+      "super", "switch", "this", "throw", "true", "try", "type", "typeof", "undefined", "var", "void", "while",
+      "yield", "int", "float", "double", "char", "bool", "boolean", "string", "func", "go", "defer", "fn", "mut",
+      "impl", "use", "pub", "match",
+    ],
+    hash: [
+      "and", "as", "assert", "async", "await", "break", "case", "class", "continue", "def", "del", "do", "done",
+      "elif", "else", "end", "esac", "except", "export", "False", "fi", "finally", "for", "from", "function", "if",
+      "import", "in", "is", "lambda", "local", "module", "None", "not", "or", "pass", "raise", "require", "return",
+      "then", "True", "try", "unless", "while", "with", "yield",
+    ],
+  };
+
+  // Language tag -> family (decides keywords and comment syntax)
+  const LANGUAGES = {
+    js: "c", javascript: "c", jsx: "c", ts: "c", typescript: "c", tsx: "c", json: "c", java: "c", c: "c",
+    cpp: "c", "c++": "c", cs: "c", "c#": "c", go: "c", rust: "c", rs: "c", css: "c", php: "c", swift: "c",
+    kotlin: "c", py: "hash", python: "hash", sh: "hash", bash: "hash", shell: "hash", zsh: "hash", rb: "hash",
+    ruby: "hash", yaml: "hash", yml: "hash", toml: "hash",
+  };
+
+  // One token per match: comment | string | number | word
+  const TOKEN_PATTERNS = {
+    c: /(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|("(?:\\[\s\S]|[^"\\\n])*"|'(?:\\[\s\S]|[^'\\\n])*'|`(?:\\[\s\S]|[^`\\])*`)|(\b\d[\d_]*(?:\.\d+)?\b)|([A-Za-z_$][\w$]*)/g,
+    hash: /(#[^\n]*)|("(?:\\[\s\S]|[^"\\\n])*"|'(?:\\[\s\S]|[^'\\\n])*')|(\b\d[\d_]*(?:\.\d+)?\b)|([A-Za-z_$][\w$]*)/g,
+  };
+
+  /**
+   * Escapes text for use in HTML content and attribute values
+   * @param {string} text - Raw text
+   * @returns {string} - Escaped text
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Splits text into pieces around the matches of a global regex
+   * @param {string} text - Text to split
+   * @param {RegExp} pattern - Global regex
+   * @returns {Array<string|RegExpExecArray>} - Plain strings and match objects, in order
+   */
+  function splitByPattern(text, pattern) {
+    const parts = [];
+    let lastIndex = 0;
+    let match;
+
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match.index > lastIndex) {
+        parts.push(text.slice(lastIndex, match.index));
+      }
+      parts.push(match);
+      lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) {
+      parts.push(text.slice(lastIndex));
+    }
+    return parts;
+  }
+
+  /**
+   * Highlights a code block
+   * Unknown languages are escaped without highlighting
+   * @param {string} code - Raw code
+   * @param {string} language - Language tag from the fence (may be empty)
+   * @returns {string} - HTML
+   */
+  function highlightCode(code, language) {
+    const family = LANGUAGES[language.toLowerCase()];
+    if (!family) {
+      return escapeHtml(code);
+    }
+
+    const keywords = KEYWORDS[family];
+    return splitByPattern(code, TOKEN_PATTERNS[family])
+      .map((part) => {
+        if (typeof part === "string") {
+          return escapeHtml(part);
+        }
+        const [text, comment, string, number, word] = part;
+        if (comment) {
+          return `<span class="tok-comment">${escapeHtml(text)}</span>`;
+        }
+        if (string) {
+          return `<span class="tok-string">${escapeHtml(text)}</span>`;
+        }
+        if (number) {
+          return `<span class="tok-number">${escapeHtml(text)}</span>`;
+        }
+        if (word && keywords.includes(word)) {
+          return `<span class="tok-keyword">${escapeHtml(text)}</span>`;
+        }
+        return escapeHtml(text);
+      })
+      .join("");
+  }
+
+  /**
+   * Applies bold / italic / strikethrough to escaped text
+   * Works left to right: the marker that opens first wins, and the text inside
+   * it is rendered on its own, so tags always nest properly (`**a ~~b** c~~`
+   * can't produce crossed <strong> and <del> tags).
+   * @param {string} escaped - Text that has already been through escapeHtml()
+   * @returns {string} - HTML
+   */
+  function renderEmphasis(escaped) {
+    let html = "";
+    let rest = escaped;
+
+    for (;;) {
+      let first = null;
+      EMPHASIS_RULES.forEach((rule) => {
+        rule.pattern.lastIndex = 0;
+        const match = rule.pattern.exec(rest);
+        if (match && (!first || match.index < first.match.index)) {
+          first = { rule: rule, match: match };
+        }
+      });
+      if (!first) {
+        return html + rest;
+      }
+
+      const { rule, match } = first;
+      const prefix = rule.keepPrefix ? match[1] : "";
+      const inner = rule.keepPrefix ? match[2] : match[1];
+      html += `${rest.slice(0, match.index)}${prefix}<${rule.tag}>${renderEmphasis(inner)}</${rule.tag}>`;
+      rest = rest.slice(match.index + match[0].length);
+    }
+  }
+
+  /**
+   * Renders plain text with links and emphasis (no code)
+   * @param {string} text - Raw text
+   * @returns {string} - HTML
+   */
+  function renderText(text) {
+    return splitByPattern(text, URL_PATTERN)
+      .map((part) => {
+        if (typeof part === "string") {
+          return renderEmphasis(escapeHtml(part));
+        }
+
+        const trailing = (part[0].match(URL_TRAILING_PUNCTUATION) || [""])[0];
+        const url = part[0].slice(0, part[0].length - trailing.length);
+        const link = `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer nofollow">${escapeHtml(url)}</a>`;
+        return link + renderEmphasis(escapeHtml(trailing));
+      })
+      .join("")
+      .replace(/\n/g, "<br>");
+  }
+
+  /**
+   * Renders a line-level chunk of text: inline code, links and emphasis
+   * @param {string} text - Raw text without fenced code blocks
+   * @returns {string} - HTML
+   */
+  function renderInline(text) {
+    return splitByPattern(text, INLINE_CODE_PATTERN)
+      .map((part) => (typeof part === "string" ? renderText(part) : `<code>${escapeHtml(part[1])}</code>`))
+      .join("");
+  }
+
+  /**
+   * Renders a chat message as safe HTML
+   * @param {string} text - Raw message text
+   * @returns {string} - HTML that only contains the tags listed at the top of this file
+   */
+  function renderMarkdown(text) {
+    return splitByPattern(String(text), FENCE_PATTERN)
+      .map((part) => {
+        if (typeof part === "string") {
+          return renderInline(part);
+        }
+        const language = part[1];
+        const code = part[2].replace(/\n$/, "");
+        const languageClass = language ? ` class="lang-${escapeHtml(language.toLowerCase())}"` : "";
+        return `<pre class="md-code"><code${languageClass}>${highlightCode(code, language)}</code></pre>`;
+      })
+      .join("");
+  }
+
+  const ChatMarkdown = {
+    escapeHtml,
+    highlightCode,
+    renderMarkdown,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = ChatMarkdown;
+  } else {
+    root.ChatMarkdown = ChatMarkdown;
+  }
+})(this);
@@ -15,24 +15,224 @@ const https = require("https");
 const { Server } = require("socket.io");
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
+const net = require("net");
 const forge = require("node-forge");
+const { createMessageStore } = require("./lib/message-store");
+const { AccountStore } = require("./lib/accounts");
+const { loadSecret, createTokenSigner } = require("./lib/session-token");
+const { EVENT_SCHEMAS, HTTP_SCHEMAS, validateEvent, validatePayload } = require("./lib/validation");
+const { FloodGuard } = require("./lib/flood-guard");
+const { findMentions } = require("./lib/mentions");
+const { TypingTracker } = require("./lib/typing-tracker");
+const { ReadReceipts } = require("./lib/read-receipts");
+const { AttachmentStore, getUploadType } = require("./lib/attachment-store");
+const { CommandRegistry } = require("./lib/commands");
+const {
+  ROLE_RANKS,
+  hasRole,
+  parseNameList,
+  normalizeIp,
+  parseDuration,
+  formatDuration,
+  BanList,
+  MuteList,
+} = require("./lib/moderation");
+const { createMessageFilters } = require("./lib/message-filters");
+const { loadWebhookConfig, findIncomingHook, WebhookDispatcher } = require("./lib/webhooks");
+const { MetricsRegistry, RateWindow } = require("./lib/metrics");
+const { createLogger } = require("./lib/logger");
+const { ConfigError, loadConfig } = require("./lib/config");
+const OPENAPI_SPEC = require("./lib/openapi.json");
+const { version: SERVER_VERSION } = require("./package.json");
+
+/**
+ * Loads part of the configuration, or exits listing every invalid setting
+ * @param {Function} load - Returns the loaded settings or throws a ConfigError
+ * @returns {Object} - What load() returned
+ */
+function loadConfigOrExit(load) {
+  try {
+    return load();
+  } catch (err) {
+    if (!(err instanceof ConfigError)) {
+      throw err;
+    }
+    // Printed directly: the logger may not be set up yet, since its settings are part of the config
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+// Settings from config.json and environment variables, checked before anything starts
+const CONFIG = loadConfigOrExit(() => loadConfig({ baseDir: __dirname }));
 
 // Initialize Express app
 const app = express();
 
-// Define the port
-const PORT = process.env.PORT || 25567;
+// Where the server listens (all interfaces unless a host is set) and its public name
+const PORT = CONFIG.server.port;
+const HOST = CONFIG.server.host;
+const PUBLIC_HOSTNAME = CONFIG.server.publicHostname;
+
+// HTTPS certificate and key (a self-signed pair is generated if they don't exist)
+const CERT_PATH = CONFIG.tls.certFile;
+const KEY_PATH = CONFIG.tls.keyFile;
+
+// Pages on other origins (e.g. GitHub Pages) that may use the chat; "*" allows any
+const CORS_ORIGINS = CONFIG.cors.origins;
+
+// Chat history storage ('file' or 'memory') and where it's kept
+const DATA_DIR = CONFIG.storage.dataDir;
+const MESSAGE_STORE = CONFIG.storage.messageStore;
+
+// Registered accounts with moderation powers
+// Moderators can kick, mute and ban users; admins can also moderate moderators
+const ADMINS = parseNameList(CONFIG.moderation.admins);
+const MODERATORS = parseNameList(CONFIG.moderation.moderators);
+
+// Longest mute a moderator can hand out
+const MAX_MUTE_MS = CONFIG.limits.maxMuteHours * 60 * 60 * 1000;
+
+// Filters every channel message goes through before it's posted (see lib/message-filters.js)
+// `filters` lists them in the order they run: "secrets", "profanity" and/or "links"
+const MESSAGE_FILTERS = {
+  filters: CONFIG.filters.enabled,
+  profanityWords: CONFIG.filters.profanityWords,
+  profanityAction: CONFIG.filters.profanityAction,
+  blockedDomains: CONFIG.filters.blockedDomains,
+  blockedLinkAction: CONFIG.filters.blockedLinkAction,
+};
+
+// Incoming and outgoing webhooks (see lib/webhooks.js for the file format)
+const WEBHOOKS_FILE = CONFIG.webhooks.file;
+
+// Wait before each retry of a failed outgoing webhook delivery
+const WEBHOOK_RETRY_DELAYS_MS = CONFIG.webhooks.retryDelaysSeconds.map((seconds) => seconds * 1000);
+
+// How long an outgoing webhook's receiver has to answer
+const WEBHOOK_TIMEOUT_MS = CONFIG.webhooks.timeoutSeconds * 1000;
+
+// Tokens for the read-only REST API, which refuses every request without one
+const API_TOKENS = CONFIG.api.tokens;
+
+// Token Prometheus must send to read /metrics (without one, /metrics is open like most exporters)
+const METRICS_TOKEN = CONFIG.metrics.token;
+
+// Messages returned by the REST API when no limit is given, and the most it returns at once
+const API_DEFAULT_MESSAGE_LIMIT = 50;
+const API_MAX_MESSAGE_LIMIT = 100;
+
+// Window the messages-per-second gauge averages over
+const MESSAGE_RATE_WINDOW_MS = 60 * 1000;
+
+// Logging (see lib/logger.js): lowest level written, "text" or "json", and where entries go
+// Privacy mode (on by default) leaves message text out of the logs
+const LOGGING = {
+  level: CONFIG.logging.level,
+  format: CONFIG.logging.format,
+  sinks: CONFIG.logging.sinks,
+  filePath: CONFIG.logging.file,
+  maxBytes: CONFIG.logging.maxBytes,
+  maxFiles: CONFIG.logging.maxFiles,
+  privacy: CONFIG.logging.privacy,
+};
+
+// Uploaded attachments are kept next to the chat history
+const UPLOAD_DIR = path.join(DATA_DIR, "uploads");
+
+// Largest file that can be uploaded
+const MAX_UPLOAD_BYTES = CONFIG.uploads.maxMegabytes * 1024 * 1024;
+
+// File types that can be uploaded (images are shown inline, everything else is a download)
+// The defaults deliberately leave out catch-all types such as application/octet-stream,
+// which would let any file through
+const ALLOWED_UPLOAD_TYPES = CONFIG.uploads.allowedTypes;
+
+// Image types served inline so they can be shown as thumbnails
+const INLINE_UPLOAD_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+// Number of recent messages sent to a user when they join a room
+const HISTORY_LIMIT = CONFIG.limits.historyLimit;
+
+// Number of older messages sent per scroll-back request
+const HISTORY_PAGE_SIZE = 30;
+
+// Maximum number of different emoji reactions on one message
+const MAX_REACTIONS_PER_MESSAGE = 20;
+
+// Number of recent repliers shown on a message with a thread
+const MAX_LATEST_REPLIERS = 3;
+
+// Longest channel topic that can be set with /topic
+const MAX_TOPIC_LENGTH = 120;
+
+// Appended by /shrug
+const SHRUG = "¯\\_(ツ)_/¯";
+
+// How long a message's client-chosen ID is remembered, so a retried send isn't posted twice
+const CLIENT_MESSAGE_ID_TTL_MS = 10 * 60 * 1000;
 
-// Certificate directory
-const CERT_DIR = path.join(__dirname, "certs");
-const CERT_PATH = path.join(CERT_DIR, "cert.pem");
-const KEY_PATH = path.join(CERT_DIR, "key.pem");
+// How long a "typing" signal lasts if the client doesn't refresh it or send "stop-typing"
+const TYPING_EXPIRY_MS = CONFIG.limits.typingExpirySeconds * 1000;
+
+// How long a login stays valid before the user must enter their password again
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// How long a dropped connection keeps its username and rooms before the user is removed
+const RESUME_GRACE_MS = CONFIG.limits.resumeGraceSeconds * 1000;
+
+// Lifetime of a resume token (the grace period still applies after every disconnect)
+const RESUME_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Flood protection thresholds
+// Each category has a token bucket per socket and a larger one shared by everyone on the same IP
+const FLOOD_LIMITS = {
+  limits: {
+    message: { perSocket: CONFIG.flood.messagePerSocket, perIp: CONFIG.flood.messagePerIp },
+    typing: { perSocket: CONFIG.flood.typingPerSocket, perIp: CONFIG.flood.typingPerIp },
+    upload: { perSocket: CONFIG.flood.uploadPerSocket, perIp: CONFIG.flood.uploadPerIp },
+    // Incoming webhooks and REST API clients are limited per hook or token rather than per socket
+    webhook: { perSocket: CONFIG.flood.webhookPerSocket, perIp: CONFIG.flood.webhookPerIp },
+    api: { perSocket: CONFIG.flood.apiPerSocket, perIp: CONFIG.flood.apiPerIp },
+    auth: { perSocket: CONFIG.flood.authPerSocket, perIp: CONFIG.flood.authPerIp },
+  },
+  duplicateWindowMs: CONFIG.flood.duplicateWindowSeconds * 1000,
+  violationsBeforeMute: CONFIG.flood.violationsBeforeMute,
+  violationWindowMs: CONFIG.flood.violationWindowSeconds * 1000,
+  muteDurationsMs: CONFIG.flood.muteDurationsSeconds.map((seconds) => seconds * 1000),
+};
+
+// Error sent in acknowledgements for each reason an event can be rate limited
+const FLOOD_REJECTION_MESSAGES = {
+  rate: "You're sending messages too quickly.",
+  duplicate: "You just sent that message.",
+  muted: "You're muted for sending too many messages.",
+  moderated: "A moderator has muted you.",
+};
+
+// Which flood limit category each event counts against (others are unlimited)
+const FLOOD_CATEGORIES = {
+  "chat-message": "message",
+  "private-message": "message",
+  "create-room": "message",
+  "edit-message": "message",
+  "delete-message": "message",
+  "add-reaction": "message",
+  "remove-reaction": "message",
+  typing: "typing",
+  "stop-typing": "typing",
+  "mark-seen": "typing",
+  login: "auth",
+  register: "auth",
+  "change-username": "auth",
+};
 
 /**
  * Generate self-signed SSL certificates using node-forge
  */
 function generateCertificate() {
-  console.log("🔐 Generating new self-signed SSL certificates...");
+  logger.info("TLS", "Generating a new self-signed certificate");
 
   // Generate a key pair
   const keys = forge.pki.rsa.generateKeyPair(2048);
@@ -47,7 +247,7 @@ function generateCertificate() {
 
   // Set certificate attributes
   const attrs = [
-    { name: "commonName", value: "validtesting.tplinkdns.com" },
+    { name: "commonName", value: CONFIG.tls.commonName },
     { name: "organizationName", value: "ChatWave Development" },
     { name: "countryName", value: "US" },
   ];
@@ -69,11 +269,8 @@ function generateCertificate() {
     },
     {
       name: "subjectAltName",
-      altNames: [
-        { type: 2, value: "localhost" },
-        { type: 2, value: "validtesting.tplinkdns.com" },
-        { type: 7, ip: "127.0.0.1" },
-      ],
+      // DNS names are type 2 and IP addresses type 7
+      altNames: CONFIG.tls.altNames.map((name) => (net.isIP(name) ? { type: 7, ip: name } : { type: 2, value: name })),
     },
   ]);
 
@@ -91,14 +288,9 @@ function generateCertificate() {
  * Get or generate SSL credentials
  */
 function getSSLCredentials() {
-  // Create certs directory if it doesn't exist
-  if (!fs.existsSync(CERT_DIR)) {
-    fs.mkdirSync(CERT_DIR, { recursive: true });
-  }
-
   // Check if certificates already exist
   if (fs.existsSync(CERT_PATH) && fs.existsSync(KEY_PATH)) {
-    console.log("📜 Loading existing SSL certificates...");
+    logger.info("TLS", "Loading the existing certificate", { cert: CERT_PATH });
     return {
       cert: fs.readFileSync(CERT_PATH, "utf8"),
       key: fs.readFileSync(KEY_PATH, "utf8"),
@@ -108,24 +300,29 @@ function getSSLCredentials() {
   // Generate new certificates
   const { cert, key } = generateCertificate();
 
-  // Save certificates for reuse
+  // Save certificates for reuse (creating their folders if needed)
+  fs.mkdirSync(path.dirname(CERT_PATH), { recursive: true });
+  fs.mkdirSync(path.dirname(KEY_PATH), { recursive: true });
   fs.writeFileSync(CERT_PATH, cert);
-  fs.writeFileSync(KEY_PATH, key);
-  console.log("✅ SSL certificates generated and saved to ./certs/");
+  fs.writeFileSync(KEY_PATH, key, { mode: 0o600 });
+  logger.info("TLS", "Certificate generated and saved", { cert: CERT_PATH, key: KEY_PATH });
 
   return { cert, key };
 }
 
+// Server log
+const logger = createLogger(LOGGING);
+
 // Get SSL credentials
 const credentials = getSSLCredentials();
 
 // Create HTTPS server
 const server = https.createServer(credentials, app);
 
-// Attach Socket.io with CORS enabled
+// Attach Socket.io with CORS enabled for the configured origins
 const io = new Server(server, {
   cors: {
-    origin: "*",
+    origin: CORS_ORIGINS.includes("*") ? "*" : CORS_ORIGINS,
     methods: ["GET", "POST"],
   },
 });
@@ -133,6 +330,122 @@ const io = new Server(server, {
 // Serve static files from the 'public' directory
 app.use(express.static(path.join(__dirname, "public")));
 
+// Persistent chat history
+const messageStore = createMessageStore({ type: MESSAGE_STORE, dataDir: DATA_DIR, logger: logger });
+
+// Uploaded files
+const attachmentStore = new AttachmentStore(UPLOAD_DIR);
+
+// Rate limiter for chat, typing, upload and login events
+const floodGuard = new FloodGuard(FLOOD_LIMITS);
+setInterval(() => floodGuard.prune(), 60 * 1000).unref();
+
+// Who is typing in each room; every change is broadcast as the room's full list
+const typingTracker = new TypingTracker({
+  expireAfterMs: TYPING_EXPIRY_MS,
+  onChange: (roomName, usernames) => {
+    io.to(roomChannel(roomName)).emit("typing-users", { room: roomName, usernames: usernames });
+  },
+});
+
+// Who has seen each channel message (kept out of the message store)
+const readReceipts = new ReadReceipts();
+
+// Checks that can rewrite, refuse or flag channel messages
+const messageFilters = createMessageFilters(MESSAGE_FILTERS);
+
+// Bots that may post over HTTP, and the URLs that get a copy of channel messages
+const webhooks = loadConfigOrExit(() => loadWebhookConfig(WEBHOOKS_FILE));
+const webhookDispatcher = new WebhookDispatcher({
+  hooks: CONFIG.features.webhooks ? webhooks.outgoing : [],
+  retryDelaysMs: WEBHOOK_RETRY_DELAYS_MS,
+  timeoutMs: WEBHOOK_TIMEOUT_MS,
+  logger: logger,
+});
+
+// Slash commands typed into the message box (registered below)
+const commands = new CommandRegistry();
+
+// Registered accounts and the signer for their session tokens
+const accounts = new AccountStore(path.join(DATA_DIR, "accounts.json"));
+const sessionTokens = createTokenSigner(CONFIG.storage.sessionSecret || loadSecret(DATA_DIR));
+
+// Banned usernames and IP addresses (saved to disk) and temporary mutes
+const bans = new BanList(path.join(DATA_DIR, "bans.json"));
+const mutes = new MuteList();
+
+// Prometheus metrics, served at /metrics
+const metrics = new MetricsRegistry();
+const messageRate = new RateWindow(MESSAGE_RATE_WINDOW_MS);
+
+metrics.gauge({
+  name: "chat_connected_sockets",
+  help: "Open Socket.io connections by transport (joined or not)",
+  labelNames: ["transport"],
+  collect: () => {
+    const counts = { polling: 0, websocket: 0 };
+    io.sockets.sockets.forEach((socket) => {
+      const transport = socket.conn.transport.name;
+      counts[transport] = (counts[transport] || 0) + 1;
+    });
+    return Object.entries(counts).map(([transport, value]) => ({ labels: { transport: transport }, value: value }));
+  },
+});
+metrics.gauge({
+  name: "chat_online_users",
+  help: "Users who have joined the chat, including ones reconnecting",
+  collect: () => connectedUsers.size,
+});
+metrics.gauge({
+  name: "chat_registered_users",
+  help: "Registered accounts",
+  collect: () => accounts.size,
+});
+metrics.gauge({
+  name: "chat_rooms",
+  help: "Chat rooms",
+  collect: () => rooms.size,
+});
+metrics.gauge({
+  name: "chat_messages_per_second",
+  help: `Messages posted per second, averaged over the last ${MESSAGE_RATE_WINDOW_MS / 1000}s`,
+  collect: () => messageRate.perSecond(),
+});
+const messagesTotal = metrics.counter({
+  name: "chat_messages_total",
+  help: "Messages posted, by type (channel, private or webhook)",
+  labelNames: ["type"],
+});
+const joinErrorsTotal = metrics.counter({
+  name: "chat_join_errors_total",
+  help: "Attempts to join the chat that were refused, by reason",
+  labelNames: ["reason"],
+});
+const eventDuration = metrics.histogram({
+  name: "chat_event_handler_duration_seconds",
+  help: "Time Socket.io event handlers take to finish, by event",
+  labelNames: ["event"],
+});
+metrics.gauge({
+  name: "process_resident_memory_bytes",
+  help: "Resident memory size in bytes",
+  collect: () => process.memoryUsage().rss,
+});
+metrics.gauge({
+  name: "process_start_time_seconds",
+  help: "Start time of the process since the epoch in seconds",
+  collect: () => Math.floor(Date.now() / 1000 - process.uptime()),
+});
+
+/**
+ * Counts a posted message for the message metrics
+ * @param {string} type - "channel", "private" or "webhook"
+ */
+function countMessage(type) {
+  messagesTotal.inc({ type: type });
+  messageRate.record();
+}
+
 // Store connected users with their socket IDs and usernames
 // Key: socket.id, Value: username
 const connectedUsers = new Map();
@@ -140,149 +453,2516 @@ const connectedUsers = new Map();
 // Store taken usernames for uniqueness validation
 const takenUsernames = new Set();
 
+// Store resumable chat sessions
+// Key: session ID, Value: { id, username, account, socketId, connected, graceTimer, joinedAt }
+const sessions = new Map();
+
+// Acknowledgements of recently posted messages, by sender and client message ID
+// A client retries with the same ID when an ack is lost; it gets the original answer instead of a second post
+// Key: "<owner key> <client message ID>", Value: { response, expiresAt }
+const recentSends = new Map();
+setInterval(() => {
+  const now = Date.now();
+  recentSends.forEach((sent, key) => {
+    if (sent.expiresAt <= now) {
+      recentSends.delete(key);
+    }
+  });
+}, 60 * 1000).unref();
+
+// Default channel every user is placed in after joining
+const DEFAULT_ROOM = "general";
+
+// Store chat rooms
+// Key: room name, Value: { name, topic, createdBy, createdAt, members: Set of socket IDs }
+const rooms = new Map();
+
 /**
- * Socket.io Connection Handler
- * Manages all real-time communication events
+ * Gets the Socket.io channel name used for a chat room
+ * Prefixed so room names can never collide with socket IDs
+ * @param {string} roomName - The chat room name
+ * @returns {string} - Socket.io channel name
  */
-io.on("connection", (socket) => {
-  console.log(`[CONNECTION] New client connected: ${socket.id}`);
+function roomChannel(roomName) {
+  return `room:${roomName}`;
+}
 
-  /**
-   * Handle user joining the chat
-   * Validates username uniqueness before allowing join
-   */
-  socket.on("user-join", (username) => {
-    // Trim and validate username
-    const trimmedUsername = username.trim();
+/**
+ * Creates a new chat room
+ * @param {string} name - Room name (already normalized)
+ * @param {string} createdBy - Username of the creator
+ * @param {string} topic - Optional room topic
+ * @returns {Object} - The created room
+ */
+function createRoom(name, createdBy, topic = "") {
+  const room = {
+    name: name,
+    topic: topic,
+    createdBy: createdBy,
+    createdAt: new Date().toISOString(),
+    members: new Set(),
+  };
+  rooms.set(name, room);
+  return room;
+}
 
-    // Check if username is empty
-    if (!trimmedUsername) {
-      socket.emit("join-error", "Username cannot be empty");
-      return;
-    }
+/**
+ * Gets the usernames of everyone currently in a room
+ * @param {string} roomName - The room name
+ * @returns {string[]} - Array of usernames
+ */
+function getRoomUsers(roomName) {
+  const room = rooms.get(roomName);
+  if (!room) {
+    return [];
+  }
+  return Array.from(room.members)
+    .map((socketId) => connectedUsers.get(socketId))
+    .filter(Boolean);
+}
 
-    // Check if username is already taken (case-insensitive)
-    const lowerUsername = trimmedUsername.toLowerCase();
-    const isTaken = Array.from(takenUsernames).some((name) => name.toLowerCase() === lowerUsername);
+/**
+ * Builds the public room list sent to clients
+ * @returns {Object[]} - Array of { name, topic, userCount }
+ */
+function getRoomList() {
+  return Array.from(rooms.values()).map((room) => ({
+    name: room.name,
+    topic: room.topic,
+    userCount: room.members.size,
+  }));
+}
 
-    if (isTaken) {
-      socket.emit("join-error", "Username is already taken. Please choose another.");
-      return;
+/**
+ * Sends a socket the most recent messages of a room
+ * One extra message is fetched to tell the client whether older ones exist
+ * @param {Object} socket - The user's socket
+ * @param {string} roomName - The room name
+ */
+async function sendRoomHistory(socket, roomName) {
+  try {
+    const history = await messageStore.getRecent(roomName, HISTORY_LIMIT + 1);
+    socket.emit("message-history", {
+      room: roomName,
+      messages: history.slice(-HISTORY_LIMIT).map(toPublicMessage),
+      hasMore: history.length > HISTORY_LIMIT,
+    });
+  } catch (err) {
+    socket.data.log.error("STORE", "Failed to load history", { room: roomName, error: err.message });
+  }
+}
+
+/**
+ * Gets the private owner key stored with a user's messages
+ * Registered users own messages through their account; guests through their
+ * chat session, so someone who later picks the same guest name can't edit them
+ * @param {Object} socket - The user's socket
+ * @returns {string} - Owner key
+ */
+function getOwnerKey(socket) {
+  return socket.data.account ? `account:${socket.data.account.toLowerCase()}` : `session:${socket.data.sessionId}`;
+}
+
+/**
+ * Gets the owner key of a chat session (the same key getOwnerKey gives its socket)
+ * @param {Object} session - The session
+ * @returns {string} - Owner key
+ */
+function getSessionOwnerKey(session) {
+  return session.account ? `account:${session.account.toLowerCase()}` : `session:${session.id}`;
+}
+
+/**
+ * Gets the name to show for the user behind an owner key
+ * Users who are still online are shown under their current name, so reactions
+ * and read receipts follow a rename; everyone else keeps the name that was stored
+ * @param {string} owner - Owner key
+ * @param {string} storedName - Name saved with the owner key
+ * @returns {string} - Username
+ */
+function getCurrentName(owner, storedName) {
+  for (const session of sessions.values()) {
+    if (getSessionOwnerKey(session) === owner) {
+      return session.username;
     }
+  }
+  return storedName;
+}
 
-    // Register the user
-    connectedUsers.set(socket.id, trimmedUsername);
-    takenUsernames.add(trimmedUsername);
+/**
+ * Reads the users who reacted with one emoji
+ * Reactions are stored as { owner, username } so a rename can't split them;
+ * history saved before that holds bare usernames
+ * @param {Array<Object|string>} entries - Stored reactors for one emoji
+ * @returns {Object[]} - { owner, username } (owner is null for bare usernames)
+ */
+function readReactors(entries) {
+  return (entries || []).map((entry) => (typeof entry === "string" ? { owner: null, username: entry } : entry));
+}
 
-    // Confirm successful join to the user
-    socket.emit("join-success", trimmedUsername);
+/**
+ * Strips server-only fields before a message is sent to clients and adds its read receipts
+ * @param {Object} message - Stored message
+ * @returns {Object} - Message safe to broadcast
+ */
+function toPublicMessage(message) {
+  // Older history files may still hold receipts inside the message; the receipt list replaces them
+  const { owner, flags, seenBy, ...publicMessage } = message;
+  const readers = readReceipts.list(message.id);
+  if (readers.length > 0) {
+    publicMessage.seenBy = readers.map((reader) => getCurrentName(reader.readerKey, reader.username));
+  }
+  if (message.reactions) {
+    publicMessage.reactions = {};
+    Object.entries(message.reactions).forEach(([emoji, entries]) => {
+      publicMessage.reactions[emoji] = readReactors(entries).map((entry) =>
+        entry.owner ? getCurrentName(entry.owner, entry.username) : entry.username
+      );
+    });
+  }
+  return publicMessage;
+}
+
+/**
+ * Answers an event's acknowledgement callback, if the client sent one
+ * @param {Function|undefined} ack - Callback passed as the event's last argument
+ * @param {Object} response - { ok: true, ... } or { ok: false, error }
+ */
+function acknowledge(ack, response) {
+  if (typeof ack === "function") {
+    ack(response);
+  }
+}
+
+/**
+ * Finds the acknowledgement of a message the socket's user already posted with a client message ID
+ * @param {Object} socket - The sender's socket
+ * @param {string} [clientMessageId] - ID the client chose for the message
+ * @returns {Object|null} - The original { ok: true, id, timestamp }, or null if this is a new message
+ */
+function findRecentSend(socket, clientMessageId) {
+  const sent = clientMessageId && recentSends.get(`${getOwnerKey(socket)} ${clientMessageId}`);
+  return sent && sent.expiresAt > Date.now() ? sent.response : null;
+}
 
-    // Broadcast to all clients that a new user has joined
-    io.emit("user-joined", {
-      username: trimmedUsername,
-      userCount: connectedUsers.size,
-      users: Array.from(connectedUsers.values()),
+/**
+ * Remembers the acknowledgement of a posted message so a retry with the same client message ID can be answered
+ * @param {Object} socket - The sender's socket
+ * @param {string} [clientMessageId] - ID the client chose for the message (nothing is stored without one)
+ * @param {Object} response - The acknowledgement that was sent
+ */
+function rememberSend(socket, clientMessageId, response) {
+  if (clientMessageId) {
+    recentSends.set(`${getOwnerKey(socket)} ${clientMessageId}`, {
+      response: response,
+      expiresAt: Date.now() + CLIENT_MESSAGE_ID_TTL_MS,
     });
+  }
+}
 
-    // Log the join event
-    console.log(`[JOIN] ${trimmedUsername} joined the chat. Total users: ${connectedUsers.size}`);
-  });
+/**
+ * Identifies a socket's user to the flood guard
+ * Uses the owner key once joined, so reconnecting or renaming doesn't reset the limits or a mute
+ * and whoever takes the name next doesn't inherit them
+ * @param {Object} socket - The socket
+ * @returns {string} - Flood guard client ID
+ */
+function getFloodClientId(socket) {
+  return connectedUsers.has(socket.id) ? getOwnerKey(socket) : socket.id;
+}
 
-  /**
-   * Handle incoming chat messages
-   * Broadcasts the message to all connected clients
-   */
-  socket.on("chat-message", (message) => {
-    const username = connectedUsers.get(socket.id);
+/**
+ * The part of a new message compared for duplicate detection
+ * Only messages that were actually sent are recorded, so a failed send can be retried with the same text
+ * @param {Object} payload - chat-message or private-message payload
+ * @returns {string} - Text and attachment IDs
+ */
+function getFloodText(payload) {
+  return [payload.message].concat(payload.attachments || []).join("\n");
+}
 
-    // Only process messages from registered users
-    if (!username) {
-      socket.emit("error", "You must join the chat first");
-      return;
-    }
+/**
+ * Finds the members of a room a message mentions (never its author)
+ * @param {string} roomName - Room the message was posted in
+ * @param {string} text - Message text
+ * @param {string} author - Username of the author
+ * @returns {string[]} - Mentioned usernames
+ */
+function getMentionedMembers(roomName, text, author) {
+  return findMentions(text, getRoomUsers(roomName)).filter((name) => name !== author);
+}
 
-    // Validate message content
-    const trimmedMessage = message.trim();
-    if (!trimmedMessage) {
-      return; // Ignore empty messages
+/**
+ * Looks up the attachments a message refers to
+ * Only files the sender uploaded can be attached (matched by owner key, so renaming in between is fine)
+ * @param {string[]} ids - Attachment IDs from the client (may be undefined)
+ * @param {string} owner - The sender's owner key
+ * @returns {Promise<{ attachments: Object[] } | { error: string }>} - Public metadata or error
+ */
+async function resolveAttachments(ids, owner) {
+  const attachments = [];
+  for (const id of new Set(ids || [])) {
+    const attachment = await attachmentStore.get(id);
+    if (!attachment || attachment.uploadedBy !== owner) {
+      return { error: "One of the attachments couldn't be found. Try uploading it again." };
     }
+    attachments.push({ id: attachment.id, name: attachment.name, type: attachment.type, size: attachment.size });
+  }
+  return { attachments: attachments };
+}
 
-    // Create message object with timestamp
-    const messageData = {
-      id: Date.now() + "-" + socket.id,
-      username: username,
-      message: trimmedMessage,
-      timestamp: new Date().toISOString(),
-    };
+/**
+ * Sends a `mentioned` notification to the sockets of mentioned room members
+ * @param {Object} messageData - The message that mentions them
+ * @param {string[]} usernames - Users to notify
+ */
+function notifyMentions(messageData, usernames) {
+  const room = rooms.get(messageData.room);
+  if (!room || usernames.length === 0) {
+    return;
+  }
 
-    // Broadcast message to all connected clients
-    io.emit("new-message", messageData);
+  const notification = {
+    room: messageData.room,
+    id: messageData.id,
+    threadId: messageData.threadId,
+    alsoToChannel: messageData.alsoToChannel,
+    username: messageData.username,
+    message: messageData.message,
+    timestamp: messageData.timestamp,
+  };
 
-    // Log the message (truncated for privacy)
-    const truncatedMsg = trimmedMessage.length > 50 ? trimmedMessage.substring(0, 50) + "..." : trimmedMessage;
-    console.log(`[MESSAGE] ${username}: ${truncatedMsg}`);
+  room.members.forEach((socketId) => {
+    if (usernames.includes(connectedUsers.get(socketId))) {
+      io.to(socketId).emit("mentioned", notification);
+    }
   });
+}
 
-  /**
-   * Handle typing indicator
-   * Notifies other clients when a user is typing
-   */
-  socket.on("typing", () => {
-    const username = connectedUsers.get(socket.id);
-    if (username) {
-      // Broadcast to all clients except the sender
-      socket.broadcast.emit("user-typing", username);
+/**
+ * Tells the online moderators about a message the filters flagged
+ * @param {Object} messageData - The flagged message
+ * @param {Array<{ filter: string, reason: string }>} flags - Why it was flagged
+ */
+function reportFlags(messageData, flags) {
+  const report = {
+    room: messageData.room,
+    id: messageData.id,
+    username: messageData.username,
+    message: messageData.message,
+    reasons: flags.map((flag) => flag.reason),
+  };
+
+  connectedUsers.forEach((username, socketId) => {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket && hasRole(getRole(socket.data.account), "moderator")) {
+      socket.emit("message-flagged", report);
     }
   });
 
-  /**
-   * Handle stop typing indicator
-   * Notifies other clients when a user stops typing
-   */
-  socket.on("stop-typing", () => {
-    const username = connectedUsers.get(socket.id);
-    if (username) {
-      socket.broadcast.emit("user-stop-typing", username);
-    }
+  logger.info("FILTER", "Flagged a message", {
+    username: messageData.username,
+    room: messageData.room,
+    messageId: messageData.id,
+    reasons: report.reasons,
   });
+}
 
-  /**
-   * Handle client disconnection
-   * Cleans up user data and notifies other clients
-   */
-  socket.on("disconnect", () => {
-    const username = connectedUsers.get(socket.id);
+/**
+ * Adds a socket to a room, sends it the room's recent history
+ * and notifies the room's members
+ * @param {Object} socket - The user's socket
+ * @param {string} roomName - The room to join
+ */
+async function joinRoom(socket, roomName) {
+  const room = rooms.get(roomName);
+  const username = connectedUsers.get(socket.id);
 
-    if (username) {
-      // Remove user from tracking
-      connectedUsers.delete(socket.id);
-      takenUsernames.delete(username);
+  room.members.add(socket.id);
+  socket.join(roomChannel(roomName));
 
-      // Notify all clients about the departure
-      io.emit("user-left", {
-        username: username,
-        userCount: connectedUsers.size,
-        users: Array.from(connectedUsers.values()),
-      });
+  const users = getRoomUsers(roomName);
 
-      console.log(`[DISCONNECT] ${username} left the chat. Total users: ${connectedUsers.size}`);
-    } else {
-      console.log(`[DISCONNECT] Unregistered client disconnected: ${socket.id}`);
-    }
+  // Confirm the join to the user with the room's current state
+  socket.emit("room-joined", {
+    room: roomName,
+    topic: room.topic,
+    users: users,
   });
-});
 
-// Start the HTTPS server
-server.listen(PORT, () => {
-  console.log("=".repeat(50));
-  console.log(`🔒 Real-time Chat Server is running with HTTPS!`);
-  console.log(`📡 Local: https://localhost:${PORT}`);
-  console.log(`🌐 External: https://validtesting.tplinkdns.com:${PORT}`);
-  console.log(`🔌 Socket.io ready for secure connections`);
-  console.log("=".repeat(50));
-  console.log("");
-  console.log("⚠️  FIRST TIME? You'll need to accept the self-signed cert:");
-  console.log(`   1. Open https://localhost:${PORT} in your browser`);
-  console.log("   2. Click 'Advanced' → 'Proceed anyway'");
-  console.log("   3. The chat will then work from GitHub Pages!");
+  // Backfill recent history so late joiners can see what they missed
+  await sendRoomHistory(socket, roomName);
+
+  // Show who is already typing
+  socket.emit("typing-users", { room: roomName, usernames: typingTracker.list(roomName) });
+
+  // Notify everyone in the room (including the user) about the new member
+  io.to(roomChannel(roomName)).emit("user-joined", {
+    room: roomName,
+    username: username,
+    userCount: users.length,
+    users: users,
+  });
+
+  socket.data.log.info("ROOM", "Joined a room", { username: username, room: roomName, members: users.length });
+}
+
+/**
+ * Removes a socket from a room and notifies the remaining members
+ * @param {Object} socket - The user's socket
+ * @param {string} roomName - The room to leave
+ */
+function leaveRoom(socket, roomName) {
+  const room = rooms.get(roomName);
+  const username = connectedUsers.get(socket.id);
+
+  room.members.delete(socket.id);
+  socket.leave(roomChannel(roomName));
+  typingTracker.stop(roomName, username);
+
+  const users = getRoomUsers(roomName);
+
+  io.to(roomChannel(roomName)).emit("user-left", {
+    room: roomName,
+    username: username,
+    userCount: users.length,
+    users: users,
+  });
+
+  socket.data.log.info("ROOM", "Left a room", { username: username, room: roomName, members: users.length });
+}
+
+/**
+ * Finds the socket ID of a connected user by username
+ * @param {string} username - The username to look up
+ * @returns {string|undefined} - The user's socket ID, if online
+ */
+function findSocketIdByUsername(username) {
+  for (const [socketId, name] of connectedUsers) {
+    if (name === username) {
+      return socketId;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Broadcasts the room list to every client
+ * Called whenever rooms are created or membership changes
+ */
+function broadcastRoomList() {
+  io.emit("room-list", getRoomList());
+}
+
+/**
+ * Checks whether a socket may use a username
+ * Registered names are reserved for their account, and names in use can't be
+ * taken - except by the user who already has them (e.g. to change capitalization)
+ * @param {Object} socket - The user's socket
+ * @param {string} username - Requested username (already validated)
+ * @returns {{ username: string } | { error: string, reason: string }} - Name to use (logged-in users get
+ * their account's spelling) or why it can't be used ("registered" or "taken")
+ */
+function checkUsername(socket, username) {
+  const isOwnAccount = socket.data.account && socket.data.account.toLowerCase() === username.toLowerCase();
+  if (accounts.isRegistered(username) && !isOwnAccount) {
+    return { error: "That username is registered. Log in with its password to use it.", reason: "registered" };
+  }
+
+  const currentName = connectedUsers.get(socket.id);
+  const isCurrentName = currentName && currentName.toLowerCase() === username.toLowerCase();
+  if (isUsernameTaken(username) && !isCurrentName) {
+    return { error: "Username is already taken. Please choose another.", reason: "taken" };
+  }
+
+  return { username: isOwnAccount ? socket.data.account : username };
+}
+
+/**
+ * Checks whether a username is in use by a connected user (case-insensitive)
+ * @param {string} username - The username to check
+ * @returns {boolean} - True if taken
+ */
+function isUsernameTaken(username) {
+  const lowerUsername = username.toLowerCase();
+  return Array.from(takenUsernames).some((name) => name.toLowerCase() === lowerUsername);
+}
+
+/**
+ * Changes a connected user's name if the new one is available
+ * The check and the rename run in one synchronous step, so two users
+ * can't both claim a name that was free when they asked for it
+ * @param {Object} socket - The user's socket
+ * @param {string} requestedName - New username (already validated)
+ * @returns {{ username: string } | { error: string }} - The name now in use, or why it can't be used
+ */
+function changeUsername(socket, requestedName) {
+  // Otherwise a muted user could dodge the mute under a new name
+  if (mutes.get(getOwnerKey(socket)) || floodGuard.getMutedMs(getFloodClientId(socket)) > 0) {
+    return { error: "You can't change your name while you're muted." };
+  }
+  if (bans.find({ username: requestedName })) {
+    return { error: "That username is banned." };
+  }
+
+  const checked = checkUsername(socket, requestedName);
+  if (!checked.error && checked.username !== connectedUsers.get(socket.id)) {
+    renameUser(socket, checked.username);
+  }
+  return checked;
+}
+
+/**
+ * Changes the name of a connected user and tells every client
+ * Stored messages keep the name they were sent under; clients relabel the ones they have loaded
+ * @param {Object} socket - The user's socket
+ * @param {string} newName - New username (already validated and checked)
+ */
+function renameUser(socket, newName) {
+  const oldName = connectedUsers.get(socket.id);
+
+  connectedUsers.set(socket.id, newName);
+  takenUsernames.delete(oldName);
+  takenUsernames.add(newName);
+
+  const session = sessions.get(socket.data.sessionId);
+  if (session) {
+    session.username = newName;
+  }
+  typingTracker.stopAll(oldName);
+
+  io.emit("user-renamed", { oldName: oldName, newName: newName });
+
+  socket.data.log.info("RENAME", "Changed username", { from: oldName, to: newName });
+}
+
+/**
+ * Changes a room's topic and tells its members
+ * @param {Object} room - The room
+ * @param {string} topic - New topic
+ * @param {string} username - Who changed it
+ */
+function setRoomTopic(room, topic, username) {
+  room.topic = topic;
+
+  io.to(roomChannel(room.name)).emit("topic-changed", { room: room.name, topic: topic, username: username });
+  broadcastRoomList();
+
+  logger.info("ROOM", "Changed the topic", { username: username, room: room.name, content: topic });
+}
+
+/**
+ * Removes a user from every room and the online list
+ * @param {Object} socket - The user's (already disconnected) socket
+ */
+function removeUser(socket) {
+  const username = connectedUsers.get(socket.id);
+
+  // Leave every room the user was in while the username is still known
+  rooms.forEach((room) => {
+    if (room.members.has(socket.id)) {
+      leaveRoom(socket, room.name);
+    }
+  });
+
+  // Remove user from tracking
+  connectedUsers.delete(socket.id);
+  takenUsernames.delete(username);
+
+  broadcastRoomList();
+  io.emit("online-count", connectedUsers.size);
+
+  socket.data.log.info("DISCONNECT", "Left the chat", { username: username, users: connectedUsers.size });
+}
+
+/**
+ * Starts a resumable session for a user who just joined
+ * The client keeps the token and presents it when it reconnects
+ * @param {Object} socket - The user's socket
+ * @param {string} username - The joined username
+ */
+function createSession(socket, username) {
+  const session = {
+    id: crypto.randomUUID(),
+    username: username,
+    account: socket.data.account || null,
+    socketId: socket.id,
+    connected: true,
+    graceTimer: null,
+    joinedAt: new Date().toISOString(),
+  };
+  sessions.set(session.id, session);
+  socket.data.sessionId = session.id;
+
+  const token = sessionTokens.sign({ type: "resume", sessionId: session.id }, RESUME_TOKEN_TTL_MS);
+  socket.emit("session-created", { token: token, graceMs: RESUME_GRACE_MS });
+}
+
+/**
+ * Finds the session a resume token refers to, if it can still be resumed
+ * The session may still look connected: after a short network drop the client
+ * often reconnects before the server notices the old connection is gone
+ * @param {string} token - Resume token from the handshake
+ * @returns {Object|null} - The session, or null if expired or unknown
+ */
+function findResumableSession(token) {
+  const payload = sessionTokens.verify(token);
+  if (!payload || payload.type !== "resume") {
+    return null;
+  }
+  return sessions.get(payload.sessionId) || null;
+}
+
+/**
+ * Moves a session onto a new socket
+ * If the old socket is still open it is told it was replaced and closed.
+ * Other users see no left/joined messages - the user never went away for them
+ * @param {Object} socket - The new socket
+ * @param {Object} session - The session being resumed
+ */
+function resumeSession(socket, session) {
+  const oldSocketId = session.socketId;
+  const oldSocket = session.connected ? io.sockets.sockets.get(oldSocketId) : null;
+
+  clearTimeout(session.graceTimer);
+  session.graceTimer = null;
+  session.socketId = socket.id;
+  session.connected = true;
+
+  // Swap the old socket ID for the new one everywhere the user is tracked
+  connectedUsers.delete(oldSocketId);
+  connectedUsers.set(socket.id, session.username);
+  socket.data.sessionId = session.id;
+  socket.data.account = session.account;
+
+  socket.emit("session-resumed", { username: session.username });
+  socket.emit("command-list", commands.list(getRole(session.account)));
+  socket.emit("room-list", getRoomList());
+
+  rooms.forEach((room) => {
+    if (!room.members.has(oldSocketId)) {
+      return;
+    }
+    room.members.delete(oldSocketId);
+    room.members.add(socket.id);
+    socket.join(roomChannel(room.name));
+
+    socket.emit("room-joined", {
+      room: room.name,
+      topic: room.topic,
+      users: getRoomUsers(room.name),
+      resumed: true,
+    });
+    sendRoomHistory(socket, room.name);
+    socket.emit("typing-users", { room: room.name, usernames: typingTracker.list(room.name) });
+  });
+
+  // The old socket no longer belongs to anyone, so its disconnect doesn't touch the session
+  if (oldSocket) {
+    oldSocket.data.replaced = true;
+    oldSocket.emit("session-replaced");
+    oldSocket.disconnect(true);
+  }
+
+  socket.data.log.info("RESUME", "Reconnected", { username: session.username, replacedOpenSocket: Boolean(oldSocket) });
+}
+
+/**
+ * Gets the role the server configuration gives an account
+ * Guests are always plain users
+ * @param {string|null} account - Registered username, if logged in
+ * @returns {string} - "admin", "moderator" or "user"
+ */
+function getRole(account) {
+  const name = (account || "").toLowerCase();
+  if (ADMINS.has(name)) {
+    return "admin";
+  }
+  return MODERATORS.has(name) ? "moderator" : "user";
+}
+
+/**
+ * Gets the address a socket connected from
+ * @param {Object} socket - The socket
+ * @returns {string} - Normalized IP address
+ */
+function getClientIp(socket) {
+  return normalizeIp(socket.handshake.address);
+}
+
+/**
+ * Builds the error shown to a banned user
+ * @param {Object} ban - The ban
+ * @returns {string} - Error message
+ */
+function describeBan(ban) {
+  return ban.reason ? `You are banned from this server: ${ban.reason}` : "You are banned from this server.";
+}
+
+/**
+ * Finds a connected user by name (case-insensitive)
+ * @param {string} name - Username as typed
+ * @returns {{ socketId: string, username: string } | null} - The user, or null if not online
+ */
+function findOnlineUser(name) {
+  const lowerName = name.toLowerCase();
+  for (const [socketId, username] of connectedUsers) {
+    if (username.toLowerCase() === lowerName) {
+      return { socketId: socketId, username: username };
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the chat session of a user by name (including one held for a reconnect)
+ * @param {string} username - Username
+ * @returns {Object|undefined} - The session, if the user is in the chat
+ */
+function findSessionByUsername(username) {
+  return Array.from(sessions.values()).find((entry) => entry.username === username);
+}
+
+/**
+ * Gets the role of a user by name
+ * Roles belong to accounts, not display names: a user in the chat is ranked by
+ * the account their session is logged in to, so a guest can't borrow an admin's
+ * name and a moderator keeps their role after /nick. A name that isn't in the
+ * chat is ranked by the account registered under it (only that account can use it).
+ * @param {string} username - Username
+ * @returns {string} - "admin", "moderator" or "user"
+ */
+function getUserRole(username) {
+  const session = findSessionByUsername(username);
+  if (session) {
+    return getRole(session.account);
+  }
+  return getRole(accounts.isRegistered(username) ? username : null);
+}
+
+/**
+ * Checks whether a moderator may act on a user
+ * Moderators can only act on users ranked below them
+ * @param {Object} context - The moderator's command context
+ * @param {string} username - Target username
+ * @returns {string|null} - Why the action isn't allowed, or null if it is
+ */
+function checkModerationTarget(context, username) {
+  if (username.toLowerCase() === context.username.toLowerCase()) {
+    return "You can't do that to yourself.";
+  }
+
+  const targetRole = getUserRole(username);
+  if (ROLE_RANKS[targetRole] >= ROLE_RANKS[context.role]) {
+    const article = targetRole === "admin" ? "an" : "a";
+    return `${username} is ${article} ${targetRole}, so you can't do that.`;
+  }
+  return null;
+}
+
+/**
+ * Tells every client about a moderation action so it can show a system message
+ * @param {Object} action - { action, username, moderator, reason, durationMs? }
+ */
+function announceModeration(action) {
+  io.emit("moderation", action);
+  logger.info("MOD", `Moderator used ${action.action}`, {
+    moderator: action.moderator,
+    username: action.username,
+    reason: action.reason || undefined,
+    durationMs: action.durationMs,
+  });
+}
+
+/**
+ * Ends a kicked or banned user's session and disconnects them
+ * A user who is mid-reconnect just loses the chance to resume
+ * @param {string} username - The user
+ * @param {Object} details - { action, moderator, reason } sent to the user before disconnecting
+ */
+function removeFromChat(username, details) {
+  const session = findSessionByUsername(username);
+  if (session) {
+    sessions.delete(session.id);
+  }
+
+  const socket = io.sockets.sockets.get(findSocketIdByUsername(username));
+  if (socket) {
+    socket.emit("kicked", details);
+    socket.disconnect(true);
+  }
+}
+
+/**
+ * Splits moderation command arguments into the target and the rest
+ * Names with spaces can be quoted: /kick "John Smith" spamming
+ * @param {string} args - Command arguments
+ * @returns {{ target: string, rest: string }} - Target username or IP, and the remaining text
+ */
+function splitTarget(args) {
+  const match = /^(?:"([^"]+)"|(\S+))\s*([\s\S]*)$/.exec(args);
+  return match ? { target: match[1] || match[2], rest: match[3].trim() } : { target: "", rest: "" };
+}
+
+// Every server starts with the default channel
+createRoom(DEFAULT_ROOM, "system", "General discussion");
+
+// ===== Slash Commands =====
+// Each command gets (args, { socket, username, room, to }); `room` is the room
+// object for channel messages and `to` the partner's name for direct messages
+
+commands.register({
+  name: "me",
+  usage: "<action>",
+  description: "Describe what you're doing, e.g. /me waves",
+  run: (args) => (args ? { post: { message: args, action: true } } : { error: "Usage: /me <action>" }),
+});
+
+commands.register({
+  name: "shrug",
+  usage: "[message]",
+  description: `Add ${SHRUG} to your message`,
+  run: (args) => ({ post: { message: args ? `${args} ${SHRUG}` : SHRUG } }),
+});
+
+commands.register({
+  name: "nick",
+  usage: "<new name>",
+  description: "Change your username",
+  run: (args, context) => {
+    const result = validatePayload(args, EVENT_SCHEMAS["change-username"]);
+    if (result.error) {
+      return { error: args ? result.error : "Usage: /nick <new name>" };
+    }
+
+    const changed = changeUsername(context.socket, result.value);
+    if (changed.error) {
+      return changed;
+    }
+    if (changed.username === context.username) {
+      return { reply: `You're already called ${context.username}.` };
+    }
+    return { reply: `You're now known as ${changed.username}.` };
+  },
+});
+
+commands.register({
+  name: "topic",
+  usage: "[new topic]",
+  description: "Show or change the channel topic",
+  channelOnly: true,
+  run: (args, context) => {
+    if (!args) {
+      return { reply: context.room.topic ? `Topic of #${context.room.name}: ${context.room.topic}` : "No topic is set." };
+    }
+    if (args.length > MAX_TOPIC_LENGTH) {
+      return { error: `Topics must be ${MAX_TOPIC_LENGTH} characters or less.` };
+    }
+
+    setRoomTopic(context.room, args, context.username);
+    return { reply: `Topic of #${context.room.name} set.` };
+  },
+});
+
+commands.register({
+  name: "whois",
+  usage: "<username>",
+  description: "Show who someone is and which channels they're in",
+  run: (args, context) => {
+    if (!args) {
+      return { error: "Usage: /whois <username>" };
+    }
+
+    const lowerName = args.toLowerCase();
+    const socketId = Array.from(connectedUsers.keys()).find((id) => connectedUsers.get(id).toLowerCase() === lowerName);
+    if (!socketId) {
+      return { error: `${args} is not online.` };
+    }
+
+    const username = connectedUsers.get(socketId);
+    const session = Array.from(sessions.values()).find((entry) => entry.username === username);
+    const channels = Array.from(rooms.values())
+      .filter((room) => room.members.has(socketId))
+      .map((room) => `#${room.name}`);
+
+    const role = getRole(session ? session.account : null);
+    const socket = io.sockets.sockets.get(socketId);
+    const kind = session && session.account ? "registered account" : "guest";
+
+    const lines = [
+      `${username} (${kind}${role !== "user" ? `, ${role}` : ""})`,
+      session ? `Online for ${Math.round((Date.now() - Date.parse(session.joinedAt)) / 60000)} min` : null,
+      `Channels: ${channels.join(", ") || "none"}`,
+      // Moderators need the address to ban it
+      hasRole(context.role, "moderator") && socket ? `Address: ${getClientIp(socket)}` : null,
+    ];
+    return { reply: lines.filter(Boolean).join("\n") };
+  },
+});
+
+// Moderator commands (hidden from everyone else)
+
+commands.register({
+  name: "kick",
+  usage: "<username> [reason]",
+  description: "Disconnect a user (they can join again)",
+  role: "moderator",
+  run: (args, context) => {
+    const { target, rest } = splitTarget(args);
+    if (!target) {
+      return { error: "Usage: /kick <username> [reason]" };
+    }
+
+    const user = findOnlineUser(target);
+    if (!user) {
+      return { error: `${target} is not online.` };
+    }
+    const refusal = checkModerationTarget(context, user.username);
+    if (refusal) {
+      return { error: refusal };
+    }
+
+    const details = { action: "kick", username: user.username, moderator: context.username, reason: rest };
+    announceModeration(details);
+    removeFromChat(user.username, details);
+    return { reply: `Kicked ${user.username}.` };
+  },
+});
+
+commands.register({
+  name: "mute",
+  usage: "<username> <duration> [reason]",
+  description: "Stop a user from posting for a while, e.g. /mute Bob 10m",
+  role: "moderator",
+  run: (args, context) => {
+    const { target, rest } = splitTarget(args);
+    const [durationText, ...reasonWords] = rest.split(/\s+/);
+    const durationMs = parseDuration(durationText);
+    if (!target || !durationMs) {
+      return { error: "Usage: /mute <username> <duration, e.g. 30s, 10m, 2h or 1d> [reason]" };
+    }
+    if (durationMs > MAX_MUTE_MS) {
+      return { error: `Mutes can last at most ${formatDuration(MAX_MUTE_MS)}.` };
+    }
+
+    const user = findOnlineUser(target);
+    if (!user) {
+      return { error: `${target} is not online.` };
+    }
+    const refusal = checkModerationTarget(context, user.username);
+    if (refusal) {
+      return { error: refusal };
+    }
+
+    // Muted by session or account, so leaving the name behind doesn't end the mute and nobody else inherits it
+    const session = findSessionByUsername(user.username);
+    if (!session) {
+      return { error: `${user.username} is not online.` };
+    }
+
+    const reason = reasonWords.join(" ");
+    mutes.add(getSessionOwnerKey(session), user.username, durationMs, { reason: reason, mutedBy: context.username });
+    announceModeration({
+      action: "mute",
+      username: user.username,
+      moderator: context.username,
+      reason: reason,
+      durationMs: durationMs,
+    });
+    return { reply: `Muted ${user.username} for ${formatDuration(durationMs)}.` };
+  },
+});
+
+commands.register({
+  name: "unmute",
+  usage: "<username>",
+  description: "Let a muted user post again",
+  role: "moderator",
+  run: (args, context) => {
+    const { target } = splitTarget(args);
+    if (!target) {
+      return { error: "Usage: /unmute <username>" };
+    }
+
+    const mute = mutes.findByName(target);
+    if (!mute) {
+      return { error: `${target} isn't muted.` };
+    }
+
+    mutes.remove(mute.key);
+    announceModeration({ action: "unmute", username: mute.username, moderator: context.username, reason: "" });
+    return { reply: `Unmuted ${mute.username}.` };
+  },
+});
+
+commands.register({
+  name: "ban",
+  usage: "<username or IP> [reason]",
+  description: "Disconnect a user or address and keep them out",
+  role: "moderator",
+  run: (args, context) => {
+    const { target, rest } = splitTarget(args);
+    if (!target) {
+      return { error: "Usage: /ban <username or IP> [reason]" };
+    }
+
+    // Banning an address disconnects everyone connected from it
+    if (net.isIP(target)) {
+      const ip = normalizeIp(target);
+      if (ip === getClientIp(context.socket)) {
+        return { error: "You can't ban your own address." };
+      }
+
+      const sockets = Array.from(io.sockets.sockets.values()).filter((socket) => getClientIp(socket) === ip);
+      const usernames = sockets.map((socket) => connectedUsers.get(socket.id)).filter(Boolean);
+      const refusals = usernames.map((username) => checkModerationTarget(context, username)).filter(Boolean);
+      if (refusals.length > 0) {
+        return { error: refusals[0] };
+      }
+
+      bans.add({ type: "ip", value: ip, reason: rest, bannedBy: context.username });
+      usernames.forEach((username) => {
+        const details = { action: "ban", username: username, moderator: context.username, reason: rest };
+        announceModeration(details);
+        removeFromChat(username, details);
+      });
+      // Also drop anyone sitting on the login screen
+      sockets.forEach((socket) => socket.disconnect(true));
+
+      return { reply: `Banned ${ip}${usernames.length > 0 ? ` (${usernames.join(", ")})` : ""}.` };
+    }
+
+    const checked = validatePayload(target, EVENT_SCHEMAS["user-join"]);
+    if (checked.error) {
+      return { error: checked.error };
+    }
+
+    // Online users are banned under their exact spelling; offline names as typed
+    const user = findOnlineUser(checked.value);
+    const username = user ? user.username : checked.value;
+    const refusal = checkModerationTarget(context, username);
+    if (refusal) {
+      return { error: refusal };
+    }
+
+    bans.add({ type: "user", value: username, reason: rest, bannedBy: context.username });
+    const details = { action: "ban", username: username, moderator: context.username, reason: rest };
+    announceModeration(details);
+    removeFromChat(username, details);
+    return { reply: `Banned ${username}.` };
+  },
+});
+
+commands.register({
+  name: "unban",
+  usage: "<username or IP>",
+  description: "Lift a ban",
+  role: "moderator",
+  run: (args, context) => {
+    const { target } = splitTarget(args);
+    if (!target) {
+      return { error: "Usage: /unban <username or IP>" };
+    }
+
+    const type = net.isIP(target) ? "ip" : "user";
+    const ban = bans.remove(type, target);
+    if (!ban) {
+      return { error: `${target} isn't banned.` };
+    }
+
+    // Addresses aren't shown to everyone
+    if (type === "user") {
+      announceModeration({ action: "unban", username: ban.value, moderator: context.username, reason: "" });
+    } else {
+      logger.info("MOD", "Moderator used unban", { moderator: context.username, ip: ban.value });
+    }
+    return { reply: `Unbanned ${ban.value}.` };
+  },
+});
+
+commands.register({
+  name: "help",
+  usage: "[command]",
+  description: "List the commands, or explain one",
+  run: (args, context) => {
+    const name = args.replace(/^\//, "");
+    if (name) {
+      const command = commands.get(name);
+      if (!command || (command.role && !hasRole(context.role, command.role))) {
+        return { error: `Unknown command /${name}.` };
+      }
+      return { reply: `/${command.name} ${command.usage} - ${command.description}` };
+    }
+
+    const lines = commands
+      .list(context.role)
+      .map((command) => `/${command.name} ${command.usage} - ${command.description}`);
+    return { reply: ["Available commands:"].concat(lines, "Start a message with // to send it as text.").join("\n") };
+  },
+});
+
+/**
+ * Makes middleware that answers 404 while a feature is turned off in the configuration
+ * @param {string} feature - Key in CONFIG.features
+ * @returns {Function} - Express middleware
+ */
+function requireFeature(feature) {
+  return (req, res, next) => {
+    if (!CONFIG.features[feature]) {
+      return res.status(404).json({ error: "That feature is turned off on this server." });
+    }
+    next();
+  };
+}
+
+/**
+ * Lets a page on an allowed origin read the response (CORS)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function allowCrossOrigin(req, res) {
+  if (CORS_ORIGINS.includes("*")) {
+    res.set("Access-Control-Allow-Origin", "*");
+    return;
+  }
+  // The answer depends on who's asking, so caches must keep one per origin
+  res.vary("Origin");
+  if (CORS_ORIGINS.includes(req.get("Origin"))) {
+    res.set("Access-Control-Allow-Origin", req.get("Origin"));
+  }
+}
+
+/**
+ * Finds the chat user behind an upload request
+ * Uploads are authorized with the resume token from `session-created`
+ * (sent as "Authorization: Bearer <token>"), which every joined user has
+ * @param {Object} req - Express request
+ * @returns {Object|null} - The uploader's session, or null if the token is missing or stale
+ */
+function getUploader(req) {
+  const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+  const payload = match ? sessionTokens.verify(match[1]) : null;
+  if (!payload || payload.type !== "resume") {
+    return null;
+  }
+
+  return sessions.get(payload.sessionId) || null;
+}
+
+app.use("/uploads", requireFeature("uploads"));
+
+// The client may be served from another origin (e.g. GitHub Pages)
+app.use("/uploads", (req, res, next) => {
+  allowCrossOrigin(req, res);
+  res.set("Access-Control-Allow-Headers", "Authorization, Content-Type, X-File-Name");
+  if (req.method === "OPTIONS") {
+    return res.sendStatus(204);
+  }
+  next();
+});
+
+/**
+ * Upload an attachment
+ * The body is the raw file, with its MIME type as Content-Type and its
+ * URI-encoded name in X-File-Name. Answers 201 with the attachment's metadata,
+ * which the client then sends with a chat message as `attachments: [id]`.
+ */
+app.post(
+  "/uploads",
+  (req, res, next) => {
+    const session = getUploader(req);
+    if (!session) {
+      return res.status(401).json({ error: "You must join the chat first." });
+    }
+    const username = session.username;
+
+    // X-File-Name is URI-encoded, but encoding leaves the extension as it was
+    const type = getUploadType(req.get("Content-Type"), req.get("X-File-Name"));
+    if (!ALLOWED_UPLOAD_TYPES.includes(type)) {
+      return res.status(415).json({ error: "That type of file can't be uploaded." });
+    }
+
+    // Same client ID as the uploader's socket events
+    const owner = getSessionOwnerKey(session);
+    const decision = floodGuard.check({ clientId: owner, ip: req.ip, category: "upload" });
+    if (!decision.allowed) {
+      res.set("Retry-After", String(Math.ceil(decision.retryAfterMs / 1000)));
+      return res.status(429).json({ error: FLOOD_REJECTION_MESSAGES[decision.reason] });
+    }
+
+    res.locals.username = username;
+    res.locals.owner = owner;
+    res.locals.type = type;
+    next();
+  },
+  express.raw({ type: () => true, limit: MAX_UPLOAD_BYTES }),
+  async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: "The file is empty." });
+    }
+
+    let name;
+    try {
+      name = decodeURIComponent(req.get("X-File-Name") || "");
+    } catch (err) {
+      name = "";
+    }
+
+    try {
+      const attachment = await attachmentStore.save(req.body, {
+        name: name,
+        type: res.locals.type,
+        uploadedBy: res.locals.owner,
+      });
+      logger.info("UPLOAD", "Uploaded a file", {
+        username: res.locals.username,
+        attachmentId: attachment.id,
+        bytes: attachment.size,
+      });
+      res.status(201).json({ id: attachment.id, name: attachment.name, type: attachment.type, size: attachment.size });
+    } catch (err) {
+      logger.error("UPLOAD", "Failed to save an upload", { username: res.locals.username, error: err.message });
+      res.status(500).json({ error: "The file couldn't be saved." });
+    }
+  }
+);
+
+/**
+ * Download an attachment
+ * Images are served inline for thumbnails; other files always download.
+ * nosniff keeps browsers from treating an upload as anything but its stored type.
+ */
+app.get("/uploads/:id", async (req, res) => {
+  let attachment;
+  try {
+    attachment = await attachmentStore.get(req.params.id);
+  } catch (err) {
+    logger.error("UPLOAD", "Failed to read an attachment", { attachmentId: req.params.id, error: err.message });
+  }
+  if (!attachment) {
+    return res.status(404).json({ error: "Attachment not found." });
+  }
+
+  if (INLINE_UPLOAD_TYPES.includes(attachment.type)) {
+    res.set("Content-Disposition", `inline; filename*=UTF-8''${encodeURIComponent(attachment.name)}`);
+  } else {
+    res.attachment(attachment.name);
+  }
+  // Set after res.attachment(), which guesses a type from the file name
+  res.set("Content-Type", attachment.type);
+  res.set("X-Content-Type-Options", "nosniff");
+  res.set("Content-Security-Policy", "default-src 'none'; sandbox");
+  res.sendFile(attachmentStore.filePath(attachment.id), { maxAge: "7d" });
+});
+
+// Upload errors from express.raw (e.g. the file is too large)
+app.use("/uploads", (err, req, res, next) => {
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ error: `Files must be ${MAX_UPLOAD_BYTES / 1024 / 1024} MB or smaller.` });
+  }
+  next(err);
+});
+
+app.use("/webhooks", requireFeature("webhooks"));
+
+/**
+ * Post a message from a bot (incoming webhook)
+ * Authorized with the hook's token ("Authorization: Bearer <token>"); the body is
+ * { room, message }. Bot messages go through the message filters like any other,
+ * but aren't sent to outgoing webhooks so two integrations can't loop.
+ */
+app.post("/webhooks/incoming", express.json({ limit: "16kb" }), async (req, res) => {
+  const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+  const hook = match ? findIncomingHook(webhooks.incoming, match[1]) : null;
+  if (!hook) {
+    return res.status(401).json({ error: "Unknown webhook token." });
+  }
+
+  const decision = floodGuard.check({ clientId: `webhook:${hook.name}`, ip: req.ip, category: "webhook" });
+  if (!decision.allowed) {
+    res.set("Retry-After", String(Math.ceil(decision.retryAfterMs / 1000)));
+    return res.status(429).json({ error: FLOOD_REJECTION_MESSAGES[decision.reason] });
+  }
+
+  const body = validatePayload(req.body, HTTP_SCHEMAS["incoming-webhook"]);
+  if (body.error) {
+    return res.status(400).json({ error: body.error, field: body.field || null });
+  }
+
+  const room = rooms.get(body.value.room);
+  if (!room) {
+    return res.status(404).json({ error: "That room doesn't exist." });
+  }
+  if (hook.rooms.length > 0 && !hook.rooms.includes(room.name)) {
+    return res.status(403).json({ error: `This webhook can't post to #${room.name}.` });
+  }
+
+  const filtered = await messageFilters.run(body.value.message, { username: hook.name, room: room.name });
+  if (filtered.error) {
+    return res.status(422).json({ error: filtered.error });
+  }
+
+  const messageData = {
+    id: crypto.randomUUID(),
+    room: room.name,
+    username: hook.name,
+    owner: `webhook:${hook.name.toLowerCase()}`,
+    bot: true,
+    message: filtered.message,
+    timestamp: new Date().toISOString(),
+  };
+  if (filtered.flags.length > 0) {
+    messageData.flags = filtered.flags;
+  }
+
+  const mentions = getMentionedMembers(room.name, messageData.message, hook.name);
+  if (mentions.length > 0) {
+    messageData.mentions = mentions;
+  }
+
+  try {
+    await messageStore.append(messageData);
+  } catch (err) {
+    logger.error("STORE", "Failed to save a message", { messageId: messageData.id, error: err.message });
+  }
+
+  io.to(roomChannel(room.name)).emit("new-message", toPublicMessage(messageData));
+  notifyMentions(messageData, mentions);
+  if (filtered.flags.length > 0) {
+    reportFlags(messageData, filtered.flags);
+  }
+
+  logger.info("WEBHOOK", "Incoming webhook posted a message", {
+    hook: hook.name,
+    room: room.name,
+    messageId: messageData.id,
+  });
+  countMessage("webhook");
+  res.status(201).json({ id: messageData.id, timestamp: messageData.timestamp });
+});
+
+app.use("/webhooks", (err, req, res, next) => {
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ error: "Webhook bodies must be 16 KB or smaller." });
+  }
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "The body must be JSON." });
+  }
+  next(err);
+});
+
+// ===== REST API =====
+// Read-only JSON endpoints for dashboards and scripts, described in lib/openapi.json.
+// Errors always have the body { error }, like the upload and webhook endpoints.
+
+// When the server started, for the health endpoint
+const startedAt = new Date();
+
+app.use("/api", requireFeature("api"));
+
+// Dashboards may be served from another origin
+app.use("/api", (req, res, next) => {
+  allowCrossOrigin(req, res);
+  res.set("Access-Control-Allow-Headers", "Authorization");
+  res.set("Access-Control-Allow-Methods", "GET");
+  if (req.method === "OPTIONS") {
+    return res.sendStatus(204);
+  }
+  next();
+});
+
+// The API description is public so tools can read it before they have a token
+app.get("/api/openapi.json", (req, res) => {
+  res.json(OPENAPI_SPEC);
+});
+
+/**
+ * Checks whether a request carries a particular bearer token
+ * Compared as hashes so the comparison takes the same time whatever the input
+ * @param {Object} req - Express request
+ * @param {string} expected - The token
+ * @returns {boolean} - True if the Authorization header has the token
+ */
+function hasBearerToken(req, expected) {
+  const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+  const hash = (value) => crypto.createHash("sha256").update(value).digest();
+  return Boolean(match) && crypto.timingSafeEqual(hash(expected), hash(match[1]));
+}
+
+/**
+ * Finds the API token a request was sent with ("Authorization: Bearer <token>")
+ * @param {Object} req - Express request
+ * @returns {string|null} - The matching token, or null if it's missing or unknown
+ */
+function findApiToken(req) {
+  return API_TOKENS.find((entry) => hasBearerToken(req, entry)) || null;
+}
+
+/**
+ * Checks the API token and the token's rate limit
+ */
+app.use("/api/v1", (req, res, next) => {
+  const token = findApiToken(req);
+  if (!token) {
+    return res.status(401).json({ error: "A valid API token is required." });
+  }
+
+  const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
+  const decision = floodGuard.check({ clientId: `api:${tokenHash}`, ip: req.ip, category: "api" });
+  if (!decision.allowed) {
+    res.set("Retry-After", String(Math.ceil(decision.retryAfterMs / 1000)));
+    return res.status(429).json({ error: "Too many requests." });
+  }
+  next();
+});
+
+/**
+ * Server health and uptime
+ */
+app.get("/api/v1/health", (req, res) => {
+  res.json({
+    status: "ok",
+    version: SERVER_VERSION,
+    startedAt: startedAt.toISOString(),
+    uptimeSeconds: Math.floor(process.uptime()),
+    onlineUsers: connectedUsers.size,
+    rooms: rooms.size,
+    messageStore: MESSAGE_STORE,
+  });
+});
+
+/**
+ * Users currently in the chat (including ones holding their session while they reconnect)
+ */
+app.get("/api/v1/users", (req, res) => {
+  const users = Array.from(connectedUsers, ([socketId, username]) => {
+    const session = Array.from(sessions.values()).find((entry) => entry.username === username);
+    return {
+      username: username,
+      registered: accounts.isRegistered(username),
+      role: getRole(session ? session.account : null),
+      connected: session ? session.connected : true,
+      joinedAt: session ? session.joinedAt : undefined,
+      rooms: Array.from(rooms.values())
+        .filter((room) => room.members.has(socketId))
+        .map((room) => room.name),
+    };
+  });
+
+  res.json({ users: users.sort((a, b) => a.username.localeCompare(b.username)) });
+});
+
+/**
+ * Every chat room with its topic and member count
+ */
+app.get("/api/v1/rooms", (req, res) => {
+  res.json({ rooms: getRoomList() });
+});
+
+/**
+ * Recent messages in a room, oldest first
+ * `before` pages back from a message ID, like `load-history`
+ */
+app.get("/api/v1/rooms/:room/messages", async (req, res, next) => {
+  const params = validatePayload({ room: req.params.room, before: req.query.before }, HTTP_SCHEMAS["api-room-messages"]);
+  if (params.error) {
+    return res.status(400).json({ error: params.error });
+  }
+
+  const limit = req.query.limit === undefined ? API_DEFAULT_MESSAGE_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > API_MAX_MESSAGE_LIMIT) {
+    return res.status(400).json({ error: `limit must be a whole number from 1 to ${API_MAX_MESSAGE_LIMIT}` });
+  }
+
+  const room = rooms.get(params.value.room);
+  if (!room) {
+    return res.status(404).json({ error: "That room doesn't exist." });
+  }
+
+  try {
+    // One extra message tells whether older ones exist
+    const page = params.value.before
+      ? await messageStore.getBefore(room.name, params.value.before, limit + 1)
+      : await messageStore.getRecent(room.name, limit + 1);
+    res.json({ room: room.name, messages: page.slice(-limit).map(toPublicMessage), hasMore: page.length > limit });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.use("/api", (req, res) => {
+  res.status(404).json({ error: "Not found." });
+});
+
+app.use("/api", (err, req, res, next) => {
+  logger.error("API", "Request failed", { method: req.method, path: req.path, error: err.message });
+  res.status(500).json({ error: "Something went wrong." });
+});
+
+// ===== Metrics =====
+
+/**
+ * Prometheus metrics in the text exposition format
+ * Needs one of the API tokens, so point the scraper's bearer token at one
+ */
+app.get("/metrics", requireFeature("metrics"), (req, res) => {
+  if (METRICS_TOKEN && !hasBearerToken(req, METRICS_TOKEN)) {
+    return res.status(401).json({ error: "A valid metrics token is required." });
+  }
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+/**
+ * Socket.io handshake middleware
+ * Turns away banned addresses and verifies the session token of logged-in
+ * users; guests connect without one
+ */
+io.use((socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+
+  // Banned addresses can't connect at all
+  const ipBan = bans.find({ ip: getClientIp(socket) });
+  if (ipBan) {
+    return next(new Error(describeBan(ipBan)));
+  }
+
+  if (!token) {
+    return next();
+  }
+
+  const session = sessionTokens.verify(token);
+  if (!session || session.type !== "account" || !accounts.isRegistered(session.username)) {
+    return next(new Error("Your session has expired. Please log in again."));
+  }
+
+  const accountBan = bans.find({ username: session.username });
+  if (accountBan) {
+    return next(new Error(describeBan(accountBan)));
+  }
+
+  // The connection is authenticated as this registered account
+  socket.data.account = session.username;
+  next();
+});
+
+/**
+ * Socket.io Connection Handler
+ * Manages all real-time communication events
+ */
+io.on("connection", (socket) => {
+  // Every entry about this connection carries its socket ID
+  socket.data.log = logger.child({ socketId: socket.id });
+  const log = socket.data.log;
+
+  log.info("CONNECTION", "Client connected", {
+    ip: getClientIp(socket),
+    transport: socket.conn.transport.name,
+  });
+
+  /**
+   * Wraps an event handler so the time it takes (until it returns or its promise settles) is recorded
+   * Socket.io ignores what handlers return, so a rejected promise is logged here instead of going unnoticed
+   * Handlers must return or await their async work, or only the synchronous part is timed
+   * @param {string} event - Event name, used as the metric label
+   * @param {Function} handler - Event handler
+   * @returns {Function} - Handler to register with socket.on
+   */
+  const timed = (event, handler) => (...args) => {
+    const stopTimer = eventDuration.startTimer({ event: event });
+    let result;
+    try {
+      result = handler(...args);
+    } catch (err) {
+      stopTimer();
+      throw err;
+    }
+
+    if (result && typeof result.then === "function") {
+      result.then(stopTimer, (err) => {
+        stopTimer();
+        log.error("EVENT", "Event handler failed", { event: event, error: err.message });
+      });
+    } else {
+      stopTimer();
+    }
+  };
+
+  // Let the login screen show how many people are online
+  socket.emit("online-count", connectedUsers.size);
+
+  // Tell the client which files it can attach, so it can refuse others before uploading them
+  socket.emit("upload-limits", { maxBytes: MAX_UPLOAD_BYTES, types: ALLOWED_UPLOAD_TYPES });
+
+  /**
+   * Validate every incoming event before its handler runs
+   * Bad payloads are dropped and reported back with a structured error
+   */
+  socket.use((packet, next) => {
+    const [event, payload] = packet;
+    const result = validateEvent(event, payload);
+
+    if (result.error) {
+      socket.emit("validation-error", { event: event, field: result.field || null, error: result.error });
+      acknowledge(packet[packet.length - 1], { ok: false, error: result.error });
+      log.warn("VALIDATION", "Rejected an event", { event: event, field: result.field, error: result.error });
+      if (event === "user-join") {
+        joinErrorsTotal.inc({ reason: "invalid" });
+      }
+      return;
+    }
+
+    // Handlers receive the normalized (trimmed, lowercased) payload
+    packet[1] = result.value;
+    next();
+  });
+
+  /**
+   * Answer retries of messages that were already posted but whose ack got lost
+   * Runs before the mute and rate limit checks, so a retry is neither counted nor refused as a duplicate
+   */
+  socket.use((packet, next) => {
+    const [event, payload] = packet;
+    const isMessage = (event === "chat-message" || event === "private-message") && connectedUsers.has(socket.id);
+    const alreadySent = isMessage ? findRecentSend(socket, payload.clientMessageId) : null;
+
+    if (!alreadySent) {
+      return next();
+    }
+    acknowledge(packet[packet.length - 1], alreadySent);
+  });
+
+  /**
+   * Keep users muted by a moderator from posting, reacting or creating rooms
+   * Rejected the same way as flood mutes, so clients show the same notice
+   */
+  socket.use((packet, next) => {
+    const [event] = packet;
+    const username = connectedUsers.get(socket.id);
+    const mute = username && FLOOD_CATEGORIES[event] === "message" ? mutes.get(getOwnerKey(socket)) : null;
+
+    if (!mute) {
+      return next();
+    }
+
+    socket.emit("rate-limited", { event: event, reason: "moderated", retryAfterMs: mute.until - Date.now() });
+    acknowledge(packet[packet.length - 1], { ok: false, error: FLOOD_REJECTION_MESSAGES.moderated });
+    log.warn("MOD", "Dropped an event from a muted user", { event: event, username: username });
+  });
+
+  /**
+   * Rate limit chat, typing and login events
+   * Runs after validation so duplicate detection sees normalized text
+   */
+  socket.use((packet, next) => {
+    const [event, payload] = packet;
+    const category = FLOOD_CATEGORIES[event];
+
+    if (!category) {
+      return next();
+    }
+
+    const decision = floodGuard.check({
+      clientId: getFloodClientId(socket),
+      ip: socket.handshake.address,
+      category: category,
+      // Only new messages count for duplicate detection (not edits)
+      text: event === "chat-message" || event === "private-message" ? getFloodText(payload) : undefined,
+    });
+
+    if (decision.allowed) {
+      return next();
+    }
+
+    // Typing events and read receipts are sent automatically - drop them quietly
+    if (category !== "typing") {
+      socket.emit("rate-limited", {
+        event: event,
+        reason: decision.reason,
+        retryAfterMs: decision.retryAfterMs,
+      });
+      acknowledge(packet[packet.length - 1], { ok: false, error: FLOOD_REJECTION_MESSAGES[decision.reason] });
+    }
+    log.warn("FLOOD", "Dropped an event", { event: event, reason: decision.reason });
+  });
+
+  // Reclaim a session that dropped within the grace period
+  const resumeToken = socket.handshake.auth && socket.handshake.auth.resumeToken;
+  if (resumeToken) {
+    const session = findResumableSession(resumeToken);
+    if (session && !bans.find({ username: session.username })) {
+      resumeSession(socket, session);
+    } else {
+      socket.emit("session-expired");
+    }
+  }
+
+  /**
+   * Handle user joining the chat
+   * Validates username uniqueness before allowing join
+   * (type, length and characters are checked by the validation layer)
+   */
+  socket.on("user-join", timed("user-join", async (username) => {
+    // Already joined on this connection
+    if (connectedUsers.has(socket.id)) {
+      return;
+    }
+
+    const ban = bans.find({ username: username, ip: getClientIp(socket) });
+    if (ban) {
+      socket.emit("join-error", describeBan(ban));
+      joinErrorsTotal.inc({ reason: "banned" });
+      log.info("JOIN", "Refused a join", { username: username, reason: "banned" });
+      return;
+    }
+
+    // Registered names are reserved and names in use can't be taken (case-insensitive)
+    const checked = checkUsername(socket, username);
+    if (checked.error) {
+      socket.emit("join-error", checked.error);
+      joinErrorsTotal.inc({ reason: checked.reason });
+      log.info("JOIN", "Refused a join", { username: username, reason: checked.reason });
+      return;
+    }
+
+    // Logged-in users always appear under their account's spelling
+    const displayName = checked.username;
+
+    // Register the user
+    connectedUsers.set(socket.id, displayName);
+    takenUsernames.add(displayName);
+
+    // Confirm successful join to the user
+    socket.emit("join-success", displayName);
+    socket.emit("command-list", commands.list(getRole(socket.data.account)));
+    createSession(socket, displayName);
+
+    // Place the user in the default channel
+    await joinRoom(socket, DEFAULT_ROOM);
+
+    // Update room member counts and the online count for everyone
+    broadcastRoomList();
+    io.emit("online-count", connectedUsers.size);
+
+    // Log the join event
+    log.info("JOIN", "Joined the chat", { username: displayName, users: connectedUsers.size });
+  }));
+
+  /**
+   * Handle changing username without leaving the chat
+   * Answers the acknowledgement with { ok: true, username } or { ok: false, error }
+   */
+  socket.on("change-username", timed("change-username", (newName, ack) => {
+    if (!connectedUsers.has(socket.id)) {
+      acknowledge(ack, { ok: false, error: "You must join the chat first." });
+      return;
+    }
+
+    const changed = changeUsername(socket, newName);
+    acknowledge(ack, changed.error ? { ok: false, error: changed.error } : { ok: true, username: changed.username });
+  }));
+
+  /**
+   * Handle account registration
+   * Creates the account and returns a session token for the handshake
+   */
+  socket.on("register", timed("register", async (data) => {
+    const username = data.username;
+
+    if (!CONFIG.features.registration) {
+      socket.emit("auth-error", "Creating accounts is turned off on this server.");
+      return;
+    }
+
+    // Don't let someone reserve a name a guest is chatting under right now
+    if (isUsernameTaken(username) && connectedUsers.get(socket.id) !== username) {
+      socket.emit("auth-error", "That username is in use right now. Please choose another.");
+      return;
+    }
+
+    try {
+      const registered = await accounts.register(username, data.password);
+      const token = sessionTokens.sign({ type: "account", username: registered }, SESSION_TTL_MS);
+      socket.emit("auth-success", { username: registered, token: token });
+      log.info("AUTH", "Registered an account", { username: registered });
+    } catch (err) {
+      socket.emit("auth-error", err.message);
+    }
+  }));
+
+  /**
+   * Handle account login
+   * Returns a session token if the password matches
+   */
+  socket.on("login", timed("login", async (data) => {
+    const username = await accounts.authenticate(data.username, data.password);
+
+    if (!username) {
+      socket.emit("auth-error", "Incorrect username or password.");
+      return;
+    }
+
+    const token = sessionTokens.sign({ type: "account", username: username }, SESSION_TTL_MS);
+    socket.emit("auth-success", { username: username, token: token });
+    log.info("AUTH", "Logged in", { username: username });
+  }));
+
+  /**
+   * Handle room list requests
+   */
+  socket.on("list-rooms", timed("list-rooms", () => {
+    socket.emit("room-list", getRoomList());
+  }));
+
+  /**
+   * Handle room creation
+   * Creates the room and moves the creator into it
+   */
+  socket.on("create-room", timed("create-room", async (roomName) => {
+    const username = connectedUsers.get(socket.id);
+
+    if (!username) {
+      socket.emit("error", "You must join the chat first");
+      return;
+    }
+
+    if (rooms.has(roomName)) {
+      socket.emit("room-error", `#${roomName} already exists.`);
+      return;
+    }
+
+    createRoom(roomName, username);
+    await joinRoom(socket, roomName);
+    broadcastRoomList();
+
+    log.info("ROOM", "Created a room", { username: username, room: roomName });
+  }));
+
+  /**
+   * Handle joining an existing room
+   */
+  socket.on("join-room", timed("join-room", async (name) => {
+    const username = connectedUsers.get(socket.id);
+
+    if (!username) {
+      socket.emit("error", "You must join the chat first");
+      return;
+    }
+
+    const room = rooms.get(name);
+
+    if (!room) {
+      socket.emit("room-error", `#${name} does not exist.`);
+      return;
+    }
+
+    // Already a member - nothing to do
+    if (room.members.has(socket.id)) {
+      return;
+    }
+
+    await joinRoom(socket, room.name);
+    broadcastRoomList();
+  }));
+
+  /**
+   * Handle leaving a room
+   * The default channel cannot be left so every user always has a home
+   */
+  socket.on("leave-room", timed("leave-room", (name) => {
+    const username = connectedUsers.get(socket.id);
+    const room = rooms.get(name);
+
+    if (!username || !room || !room.members.has(socket.id)) {
+      return;
+    }
+
+    if (room.name === DEFAULT_ROOM) {
+      socket.emit("room-error", `You can't leave #${DEFAULT_ROOM}.`);
+      return;
+    }
+
+    leaveRoom(socket, room.name);
+    socket.emit("room-left", { room: room.name });
+    broadcastRoomList();
+  }));
+
+  /**
+   * Handle scroll-back requests for older messages
+   * Uses the ID of the oldest message the client has as the cursor
+   */
+  socket.on("load-history", timed("load-history", async (data) => {
+    const room = rooms.get(data.room);
+
+    if (!room || !room.members.has(socket.id)) {
+      socket.emit("room-error", "You are not a member of that room.");
+      return;
+    }
+
+    try {
+      const page = await messageStore.getBefore(room.name, data.before, HISTORY_PAGE_SIZE + 1);
+      socket.emit("message-history-page", {
+        room: room.name,
+        before: data.before,
+        messages: page.slice(-HISTORY_PAGE_SIZE).map(toPublicMessage),
+        hasMore: page.length > HISTORY_PAGE_SIZE,
+      });
+    } catch (err) {
+      log.error("STORE", "Failed to load older messages", { room: room.name, error: err.message });
+    }
+  }));
+
+  /**
+   * Handle requests to open a message's thread
+   * Sends the parent message and all of its replies
+   */
+  socket.on("load-thread", timed("load-thread", async (data) => {
+    const room = rooms.get(data.room);
+
+    if (!room || !room.members.has(socket.id)) {
+      socket.emit("room-error", "You are not a member of that room.");
+      return;
+    }
+
+    try {
+      const parent = await messageStore.get(room.name, data.id);
+      if (!parent || parent.threadId) {
+        socket.emit("message-error", "That thread no longer exists.");
+        return;
+      }
+
+      const replies = await messageStore.getThread(room.name, parent.id);
+      socket.emit("thread-history", {
+        room: room.name,
+        id: parent.id,
+        parent: toPublicMessage(parent),
+        replies: replies.map(toPublicMessage),
+      });
+    } catch (err) {
+      log.error("STORE", "Failed to load a thread", { messageId: data.id, error: err.message });
+    }
+  }));
+
+  /**
+   * Runs the slash command at the start of a message, if there is one
+   * Replies and errors only go to the sender (as `command-result` and the ack)
+   * @param {string} text - Message text
+   * @param {Object} context - { username, room } for channels or { username, to } for DMs
+   * @param {Function|undefined} ack - The message's acknowledgement callback
+   * @returns {Promise<Object|null>} - Message to post ({ message, action? }), or null if nothing should be posted
+   */
+  async function runCommand(text, context, ack) {
+    // "//" sends a message that starts with a slash
+    if (text.startsWith("//")) {
+      return { message: text.slice(1) };
+    }
+
+    const result = await commands.execute(
+      text,
+      Object.assign({ socket: socket, role: getRole(socket.data.account) }, context)
+    );
+    if (!result) {
+      return { message: text };
+    }
+    if (result.post) {
+      return result.post;
+    }
+
+    if (result.error) {
+      acknowledge(ack, { ok: false, error: result.error });
+    } else {
+      const where = context.room ? { room: context.room.name } : { to: context.to };
+      socket.emit("command-result", Object.assign(where, { text: result.reply }));
+      acknowledge(ack, { ok: true, command: true });
+    }
+    return null;
+  }
+
+  /**
+   * Handle incoming chat messages and direct messages
+   * A failure while looking up attachments or threads (e.g. an unreadable
+   * file in the data folder) is logged and refused instead of crashing the server
+   */
+  socket.on("chat-message", timed("chat-message", async (data, ack) => {
+    try {
+      await postChannelMessage(data, ack);
+    } catch (err) {
+      log.error("MESSAGE", "Failed to post a message", { room: data.room, error: err.message });
+      acknowledge(ack, { ok: false, error: "Your message couldn't be sent." });
+    }
+  }));
+
+  socket.on("private-message", timed("private-message", async (data, ack) => {
+    try {
+      await sendDirectMessage(data, ack);
+    } catch (err) {
+      log.error("DM", "Failed to send a direct message", { to: data.to, error: err.message });
+      acknowledge(ack, { ok: false, error: "Your message couldn't be sent." });
+    }
+  }));
+
+  /**
+   * Posts a chat message
+   * Broadcasts the message to everyone in the target room.
+   * Messages with a threadId are replies: they only show up in the channel
+   * feed if the sender also chose to send them to the channel.
+   * @param {Object} data - Validated chat-message payload
+   * @param {Function} [ack] - Acknowledgement callback
+   */
+  async function postChannelMessage(data, ack) {
+    const username = connectedUsers.get(socket.id);
+
+    // Only process messages from registered users
+    if (!username) {
+      socket.emit("error", "You must join the chat first");
+      acknowledge(ack, { ok: false, error: "You must join the chat first." });
+      return;
+    }
+
+    // Only members of a room may post to it
+    const room = rooms.get(data.room);
+    if (!room || !room.members.has(socket.id)) {
+      socket.emit("room-error", "You are not a member of that room.");
+      acknowledge(ack, { ok: false, error: "You are not a member of that room." });
+      return;
+    }
+
+    // Slash commands either post a message of their own or only answer the sender
+    const posted = await runCommand(data.message, { username: username, room: room }, ack);
+    if (!posted) {
+      return;
+    }
+
+    if (!posted.message && !data.attachments) {
+      socket.emit("message-error", "Message cannot be empty.");
+      acknowledge(ack, { ok: false, error: "Message cannot be empty." });
+      return;
+    }
+
+    // The deployment's filters may rewrite the text, refuse it or flag it for moderators
+    const filtered = await messageFilters.run(posted.message, { username: username, room: room.name });
+    if (filtered.error) {
+      socket.emit("message-error", filtered.error);
+      acknowledge(ack, { ok: false, error: filtered.error });
+      log.info("FILTER", "Refused a message", { filter: filtered.filter, username: username, room: room.name });
+      return;
+    }
+    const message = filtered.message;
+
+    const { attachments, error } = await resolveAttachments(data.attachments, getOwnerKey(socket));
+    if (error) {
+      socket.emit("message-error", error);
+      acknowledge(ack, { ok: false, error: error });
+      return;
+    }
+
+    // Replies must point at a top-level message in the same room
+    const parent = data.threadId ? await messageStore.get(room.name, data.threadId) : null;
+    if (data.threadId && (!parent || parent.deleted || parent.threadId)) {
+      socket.emit("message-error", "You can't reply to that message.");
+      acknowledge(ack, { ok: false, error: "You can't reply to that message." });
+      return;
+    }
+
+    // Create message object with a stable server-issued ID and timestamp
+    const messageData = {
+      id: crypto.randomUUID(),
+      room: room.name,
+      username: username,
+      owner: getOwnerKey(socket),
+      message: message,
+      timestamp: new Date().toISOString(),
+    };
+    if (posted.action) {
+      messageData.action = true;
+    }
+    if (attachments.length > 0) {
+      messageData.attachments = attachments;
+    }
+    if (filtered.flags.length > 0) {
+      messageData.flags = filtered.flags;
+    }
+    if (parent) {
+      messageData.threadId = parent.id;
+      if (data.alsoToChannel) {
+        messageData.alsoToChannel = true;
+      }
+    }
+
+    const mentions = getMentionedMembers(room.name, message, username);
+    if (mentions.length > 0) {
+      messageData.mentions = mentions;
+    }
+
+    // Persist before broadcasting so history never misses a delivered message
+    try {
+      await messageStore.append(messageData);
+    } catch (err) {
+      log.error("STORE", "Failed to save a message", { messageId: messageData.id, error: err.message });
+    }
+
+    // Confirm delivery before the broadcast so the sender can match the echo to its pending message
+    const response = { ok: true, id: messageData.id, timestamp: messageData.timestamp };
+    rememberSend(socket, data.clientMessageId, response);
+    floodGuard.recordText(getFloodClientId(socket), getFloodText(data));
+    acknowledge(ack, response);
+
+    // Broadcast message to everyone in the room
+    // (clients keep thread-only replies out of the main feed)
+    io.to(roomChannel(room.name)).emit("new-message", toPublicMessage(messageData));
+
+    // Sending a message ends the sender's typing
+    typingTracker.stop(room.name, username);
+
+    notifyMentions(messageData, mentions);
+
+    if (filtered.flags.length > 0) {
+      reportFlags(messageData, filtered.flags);
+    }
+
+    webhookDispatcher.dispatch(toPublicMessage(messageData));
+
+    if (parent) {
+      await updateThreadSummary(parent, messageData);
+    }
+
+    // Log the message with a truncated preview (left out in privacy mode)
+    const truncatedMsg = message.length > 50 ? message.substring(0, 50) + "..." : message;
+    log.info("MESSAGE", "Posted a message", {
+      username: username,
+      room: room.name,
+      messageId: messageData.id,
+      content: truncatedMsg,
+    });
+    countMessage("channel");
+  }
+
+  /**
+   * Records a new reply on its parent message and broadcasts the new
+   * reply count and latest repliers
+   * @param {Object} parent - The parent message
+   * @param {Object} reply - The reply that was just posted
+   */
+  async function updateThreadSummary(parent, reply) {
+    const others = (parent.latestRepliers || []).filter((name) => name !== reply.username);
+    const summary = {
+      replyCount: (parent.replyCount || 0) + 1,
+      latestRepliers: [reply.username].concat(others).slice(0, MAX_LATEST_REPLIERS),
+      lastReplyAt: reply.timestamp,
+    };
+
+    try {
+      await messageStore.update(parent.room, parent.id, summary);
+    } catch (err) {
+      log.error("STORE", "Failed to update a thread", { messageId: parent.id, error: err.message });
+    }
+
+    io.to(roomChannel(parent.room)).emit("thread-updated", Object.assign({ room: parent.room, id: parent.id }, summary));
+  }
+
+  /**
+   * Sends a private (direct) message
+   * Delivers the message only to the sender's and recipient's sockets
+   * @param {Object} data - Validated private-message payload
+   * @param {Function} [ack] - Acknowledgement callback
+   */
+  async function sendDirectMessage(data, ack) {
+    const username = connectedUsers.get(socket.id);
+
+    if (!username) {
+      socket.emit("error", "You must join the chat first");
+      acknowledge(ack, { ok: false, error: "You must join the chat first." });
+      return;
+    }
+
+    const recipientSocketId = findSocketIdByUsername(data.to);
+
+    if (!recipientSocketId) {
+      socket.emit("dm-error", { to: data.to, error: `${data.to} is not online.` });
+      acknowledge(ack, { ok: false, error: `${data.to} is not online.` });
+      return;
+    }
+
+    if (recipientSocketId === socket.id) {
+      socket.emit("dm-error", { to: data.to, error: "You can't send a direct message to yourself." });
+      acknowledge(ack, { ok: false, error: "You can't send a direct message to yourself." });
+      return;
+    }
+
+    // A dropped user's name is held during the grace period, but there's no socket to deliver to
+    if (!io.sockets.sockets.has(recipientSocketId)) {
+      const error = `${data.to} is reconnecting. Try again in a moment.`;
+      socket.emit("dm-error", { to: data.to, error: error });
+      acknowledge(ack, { ok: false, error: error });
+      return;
+    }
+
+    const posted = await runCommand(data.message, { username: username, to: data.to }, ack);
+    if (!posted) {
+      return;
+    }
+
+    const message = posted.message;
+    if (!message && !data.attachments) {
+      socket.emit("dm-error", { to: data.to, error: "Message cannot be empty." });
+      acknowledge(ack, { ok: false, error: "Message cannot be empty." });
+      return;
+    }
+
+    const { attachments, error } = await resolveAttachments(data.attachments, getOwnerKey(socket));
+    if (error) {
+      socket.emit("dm-error", { to: data.to, error: error });
+      acknowledge(ack, { ok: false, error: error });
+      return;
+    }
+
+    const messageData = {
+      id: crypto.randomUUID(),
+      username: username,
+      to: data.to,
+      message: message,
+      timestamp: new Date().toISOString(),
+    };
+    if (posted.action) {
+      messageData.action = true;
+    }
+    if (attachments.length > 0) {
+      messageData.attachments = attachments;
+    }
+
+    const response = { ok: true, id: messageData.id, timestamp: messageData.timestamp };
+    rememberSend(socket, data.clientMessageId, response);
+    floodGuard.recordText(getFloodClientId(socket), getFloodText(data));
+    acknowledge(ack, response);
+
+    // Only the two participants receive the message
+    io.to([socket.id, recipientSocketId]).emit("new-private-message", messageData);
+
+    log.info("DM", "Sent a direct message", { username: username, to: data.to, messageId: messageData.id });
+    countMessage("private");
+  }
+
+  /**
+   * Handle read receipts
+   * The client reports channel messages that have been on screen; each one
+   * records the reader once and the room is told who saw what.
+   * Receipts live in readReceipts, not the message store, so reading never writes to disk
+   */
+  socket.on("mark-seen", timed("mark-seen", async (data) => {
+    const username = connectedUsers.get(socket.id);
+    const room = rooms.get(data.room);
+
+    if (!username || !room || !room.members.has(socket.id)) {
+      return;
+    }
+
+    const owner = getOwnerKey(socket);
+    const seen = [];
+    try {
+      for (const id of new Set(data.ids)) {
+        const message = await messageStore.get(room.name, id);
+        if (!message || message.deleted || message.owner === owner) {
+          continue;
+        }
+        if (readReceipts.add(id, owner, username)) {
+          seen.push(id);
+        }
+      }
+    } catch (err) {
+      log.error("STORE", "Failed to look up messages for read receipts", { room: room.name, error: err.message });
+    }
+
+    if (seen.length > 0) {
+      io.to(roomChannel(room.name)).emit("messages-seen", { room: room.name, username: username, ids: seen });
+    }
+  }));
+
+  /**
+   * Finds a message in a room the socket's user is a member of
+   * Emits message-error and returns null if it doesn't exist or was deleted
+   * @param {string} roomName - Room name
+   * @param {string} id - Message ID
+   * @returns {Promise<Object|null>} - The stored message
+   */
+  async function findRoomMessage(roomName, id) {
+    const room = rooms.get(roomName);
+    if (!connectedUsers.has(socket.id) || !room || !room.members.has(socket.id)) {
+      socket.emit("message-error", "You are not a member of that room.");
+      return null;
+    }
+
+    const message = await messageStore.get(room.name, id);
+    if (!message || message.deleted) {
+      socket.emit("message-error", "That message no longer exists.");
+      return null;
+    }
+    return message;
+  }
+
+  /**
+   * Finds a room message the socket's user is allowed to change
+   * Emits message-error and returns null if it doesn't exist or isn't theirs
+   * @param {string} roomName - Room name
+   * @param {string} id - Message ID
+   * @returns {Promise<Object|null>} - The stored message
+   */
+  async function findOwnMessage(roomName, id) {
+    const message = await findRoomMessage(roomName, id);
+    if (!message) {
+      return null;
+    }
+    if (message.owner !== getOwnerKey(socket)) {
+      socket.emit("message-error", "You can only change your own messages.");
+      return null;
+    }
+    return message;
+  }
+
+  /**
+   * Handle editing a message
+   * Only the author may edit; everyone in the room gets the new text
+   */
+  socket.on("edit-message", timed("edit-message", async (data) => {
+    try {
+      const message = await findOwnMessage(data.room, data.id);
+      if (!message) {
+        return;
+      }
+
+      // Edits go through the same filters as new messages
+      const filtered = await messageFilters.run(data.message, { username: message.username, room: message.room });
+      if (filtered.error) {
+        socket.emit("message-error", filtered.error);
+        log.info("FILTER", "Refused an edit", {
+          filter: filtered.filter,
+          username: message.username,
+          room: message.room,
+        });
+        return;
+      }
+      if (message.message === filtered.message) {
+        return;
+      }
+
+      // Only people who weren't already mentioned get a new notification
+      const previousMentions = message.mentions || [];
+      const mentions = getMentionedMembers(message.room, filtered.message, message.username);
+
+      const updated = await messageStore.update(message.room, message.id, {
+        message: filtered.message,
+        editedAt: new Date().toISOString(),
+        mentions: mentions,
+        flags: filtered.flags,
+      });
+
+      io.to(roomChannel(updated.room)).emit("message-updated", {
+        room: updated.room,
+        id: updated.id,
+        message: updated.message,
+        editedAt: updated.editedAt,
+        mentions: updated.mentions,
+      });
+
+      notifyMentions(updated, mentions.filter((name) => !previousMentions.includes(name)));
+
+      if (filtered.flags.length > 0) {
+        reportFlags(updated, filtered.flags);
+      }
+
+      log.info("EDIT", "Edited a message", { username: updated.username, room: updated.room, messageId: updated.id });
+    } catch (err) {
+      log.error("STORE", "Failed to edit a message", { messageId: data.id, error: err.message });
+    }
+  }));
+
+  /**
+   * Handle deleting a message
+   * The text is erased and the message stays behind as a tombstone
+   */
+  socket.on("delete-message", timed("delete-message", async (data) => {
+    try {
+      const message = await findOwnMessage(data.room, data.id);
+      if (!message) {
+        return;
+      }
+
+      const updated = await messageStore.update(message.room, message.id, {
+        message: "",
+        attachments: [],
+        deleted: true,
+        deletedAt: new Date().toISOString(),
+      });
+
+      // Deleted messages take their files with them
+      (message.attachments || []).forEach((attachment) => {
+        attachmentStore.remove(attachment.id).catch((err) => {
+          log.error("UPLOAD", "Failed to remove an attachment", { attachmentId: attachment.id, error: err.message });
+        });
+      });
+
+      io.to(roomChannel(updated.room)).emit("message-deleted", {
+        room: updated.room,
+        id: updated.id,
+        deletedAt: updated.deletedAt,
+      });
+
+      log.info("DELETE", "Deleted a message", {
+        username: updated.username,
+        room: updated.room,
+        messageId: updated.id,
+      });
+    } catch (err) {
+      log.error("STORE", "Failed to delete a message", { messageId: data.id, error: err.message });
+    }
+  }));
+
+  /**
+   * Adds or removes the user's emoji reaction on a message
+   * Reactions are stored per message as { emoji: [{ owner, username }] } (clients
+   * only see the usernames); each change is broadcast on its own so clients can
+   * patch a single reaction
+   * @param {Object} data - { room, id, emoji }
+   * @param {string} action - 'add' or 'remove'
+   */
+  async function changeReaction(data, action) {
+    const username = connectedUsers.get(socket.id);
+    const message = await findRoomMessage(data.room, data.id);
+    if (!message) {
+      return;
+    }
+
+    const owner = getOwnerKey(socket);
+    const reactions = Object.assign({}, message.reactions);
+    const reactors = readReactors(reactions[data.emoji]);
+    // Reactions saved before owners were stored can only be matched by name
+    const isMine = (entry) => (entry.owner ? entry.owner === owner : entry.username === username);
+
+    if (action === "add") {
+      if (reactors.some(isMine)) {
+        return;
+      }
+      if (!reactions[data.emoji] && Object.keys(reactions).length >= MAX_REACTIONS_PER_MESSAGE) {
+        socket.emit("message-error", "That message has too many different reactions.");
+        return;
+      }
+      reactions[data.emoji] = reactors.concat({ owner: owner, username: username });
+    } else {
+      if (!reactors.some(isMine)) {
+        return;
+      }
+      const remaining = reactors.filter((entry) => !isMine(entry));
+      if (remaining.length > 0) {
+        reactions[data.emoji] = remaining;
+      } else {
+        delete reactions[data.emoji];
+      }
+    }
+
+    await messageStore.update(message.room, message.id, { reactions: reactions });
+
+    io.to(roomChannel(message.room)).emit("reaction-updated", {
+      room: message.room,
+      id: message.id,
+      emoji: data.emoji,
+      username: username,
+      action: action,
+      count: (reactions[data.emoji] || []).length,
+    });
+  }
+
+  /**
+   * Handle adding an emoji reaction
+   */
+  socket.on("add-reaction", timed("add-reaction", (data) => {
+    return changeReaction(data, "add").catch((err) => {
+      log.error("STORE", "Failed to add a reaction", { messageId: data.id, error: err.message });
+    });
+  }));
+
+  /**
+   * Handle removing an emoji reaction
+   */
+  socket.on("remove-reaction", timed("remove-reaction", (data) => {
+    return changeReaction(data, "remove").catch((err) => {
+      log.error("STORE", "Failed to remove a reaction", { messageId: data.id, error: err.message });
+    });
+  }));
+
+  /**
+   * Handle typing indicator
+   * Clients repeat "typing" while the user keeps typing; the tracker drops
+   * them if the signal isn't refreshed within TYPING_EXPIRY_MS
+   */
+  socket.on("typing", timed("typing", (roomName) => {
+    const username = connectedUsers.get(socket.id);
+    const room = rooms.get(roomName);
+    if (username && room && room.members.has(socket.id)) {
+      typingTracker.start(room.name, username);
+    }
+  }));
+
+  /**
+   * Handle stop typing indicator
+   */
+  socket.on("stop-typing", timed("stop-typing", (roomName) => {
+    const username = connectedUsers.get(socket.id);
+    const room = rooms.get(roomName);
+    if (username && room && room.members.has(socket.id)) {
+      typingTracker.stop(room.name, username);
+    }
+  }));
+
+  /**
+   * Handle client disconnection
+   * Cleans up user data and notifies other clients
+   */
+  socket.on("disconnect", timed("disconnect", (reason) => {
+    const username = connectedUsers.get(socket.id);
+
+    if (!username) {
+      const message = socket.data.replaced
+        ? "Closed a connection taken over by a reconnect"
+        : "Disconnected before joining";
+      log.info("DISCONNECT", message, { reason: reason });
+      return;
+    }
+
+    // A dropped client can't send "stop-typing", so clear it here even if the session is held
+    typingTracker.stopAll(username);
+
+    const session = sessions.get(socket.data.sessionId);
+
+    // Leaving on purpose ends the session immediately
+    if (!session || reason === "client namespace disconnect") {
+      sessions.delete(socket.data.sessionId);
+      removeUser(socket);
+      return;
+    }
+
+    // Otherwise hold the username and rooms in case the client comes back
+    session.connected = false;
+    session.graceTimer = setTimeout(() => {
+      sessions.delete(session.id);
+      removeUser(socket);
+    }, RESUME_GRACE_MS);
+
+    log.info("DISCONNECT", "Lost connection; holding the session", {
+      username: username,
+      reason: reason,
+      graceSeconds: RESUME_GRACE_MS / 1000,
+    });
+  }));
+});
+
+// Start the HTTPS server
+server.listen(PORT, HOST, () => {
+  logger.info("SERVER", "Real-time Chat Server is running with HTTPS", {
+    address: `${HOST || "*"}:${PORT}`,
+    local: `https://localhost:${PORT}`,
+    external: `https://${PUBLIC_HOSTNAME}:${PORT}`,
+  });
+  logger.info(
+    "SERVER",
+    "First time? Open the local URL in your browser and accept the self-signed certificate, " +
+      "then copies of the page hosted elsewhere (e.g. GitHub Pages) can connect too"
+  );
 });
@@ -0,0 +1,215 @@
+/**
+ * Configuration Tests
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Loads settings from environment objects and config files written to a temporary folder,
+ * so the real environment and config.json are never read.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { ConfigError, loadConfig } = require("../lib/config");
+
+/**
+ * Loads the config from a temporary folder
+ * @param {Object} env - Environment variables
+ * @param {Object} [file] - Contents of config.json (no file if left out)
+ * @returns {Object} - The loaded config
+ */
+function load(env, file) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-test-"));
+  try {
+    if (file) {
+      fs.writeFileSync(path.join(dir, "config.json"), JSON.stringify(file));
+    }
+    return loadConfig({ env: env, baseDir: dir });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Loads the config and returns the problems it was rejected with
+ * @param {Object} env - Environment variables
+ * @param {Object} [file] - Contents of config.json
+ * @returns {string[]} - ConfigError problems
+ */
+function problemsOf(env, file) {
+  try {
+    load(env, file);
+  } catch (err) {
+    assert.ok(err instanceof ConfigError);
+    return err.problems;
+  }
+  assert.fail("expected a ConfigError");
+}
+
+test("defaults apply when nothing is set", () => {
+  const config = load({});
+  assert.equal(config.server.port, 25567);
+  assert.equal(config.server.publicHostname, "localhost");
+  assert.deepEqual(config.tls.altNames, ["localhost", "127.0.0.1"]);
+  assert.deepEqual(config.flood.messagePerSocket, { capacity: 5, refillPerSecond: 1 });
+  assert.equal(config.metrics.token, undefined);
+  assert.ok(Object.isFrozen(config) && Object.isFrozen(config.server));
+});
+
+test("config.example.json matches the defaults apart from the example host", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-test-"));
+  const emptyFile = path.join(dir, "empty.json");
+  fs.writeFileSync(emptyFile, "{}");
+  const baseDir = path.join(__dirname, "..");
+
+  try {
+    const example = loadConfig({ env: { CONFIG_FILE: "config.example.json" }, baseDir: baseDir });
+    const defaults = loadConfig({ env: { CONFIG_FILE: emptyFile }, baseDir: baseDir });
+    assert.deepEqual({ ...example, server: { ...example.server, host: undefined } }, defaults);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("environment variables win over the file", () => {
+  const file = { server: { port: 8080, publicHostname: "chat.example.com" }, logging: { level: "debug" } };
+
+  const fromFile = load({}, file);
+  assert.equal(fromFile.server.port, 8080);
+  assert.equal(fromFile.tls.commonName, "chat.example.com");
+
+  const overridden = load({ PORT: "9090", LOG_LEVEL: "WARN" }, file);
+  assert.equal(overridden.server.port, 9090);
+  assert.equal(overridden.logging.level, "warn");
+  assert.equal(overridden.server.publicHostname, "chat.example.com");
+});
+
+test("an empty environment variable means unset, except for lists where it means none", () => {
+  const config = load({ PORT: "", MESSAGE_FILTERS: "" });
+  assert.equal(config.server.port, 25567);
+  assert.deepEqual(config.filters.enabled, []);
+});
+
+test("relative paths are resolved from the base folder", () => {
+  const config = load({ DATA_DIR: "chat-data" });
+  assert.equal(path.basename(config.storage.dataDir), "chat-data");
+  assert.ok(path.isAbsolute(config.storage.dataDir));
+  assert.equal(config.webhooks.file, path.join(config.storage.dataDir, "webhooks.json"));
+});
+
+test("buckets are read from capacity/refillPerSecond text or an object", () => {
+  const config = load(
+    { FLOOD_MESSAGE_PER_SOCKET: " 3 / 0.5 " },
+    { flood: { typingPerIp: { capacity: 12, refillPerSecond: 3 } } }
+  );
+  assert.deepEqual(config.flood.messagePerSocket, { capacity: 3, refillPerSecond: 0.5 });
+  assert.deepEqual(config.flood.typingPerIp, { capacity: 12, refillPerSecond: 3 });
+
+  ["5", "0/1", "5/0", "5/1/2", "1.5/1", "a/b", "/1"].forEach((raw) => {
+    const problems = problemsOf({ FLOOD_MESSAGE_PER_SOCKET: raw });
+    assert.equal(problems.length, 1, raw);
+    assert.match(problems[0], /^FLOOD_MESSAGE_PER_SOCKET: must be "capacity\/refillPerSecond"/, raw);
+  });
+  assert.match(
+    problemsOf({}, { flood: { apiPerIp: { capacity: 5 } } })[0],
+    /^config\.json flood\.apiPerIp: must be "capacity\/refillPerSecond"/
+  );
+});
+
+test("lists are comma-separated in the environment and arrays in the file", () => {
+  const config = load(
+    { ADMINS: " alice, ,bob ", WEBHOOK_RETRY_DELAYS: "1,2" },
+    { moderation: { moderators: ["carol"] }, flood: { muteDurationsSeconds: [60] } }
+  );
+  assert.deepEqual(config.moderation.admins, ["alice", "bob"]);
+  assert.deepEqual(config.moderation.moderators, ["carol"]);
+  assert.deepEqual(config.webhooks.retryDelaysSeconds, [1, 2]);
+  assert.deepEqual(config.flood.muteDurationsSeconds, [60]);
+
+  assert.deepEqual(problemsOf({ WEBHOOK_RETRY_DELAYS: "5,x" }), [
+    'WEBHOOK_RETRY_DELAYS: "x" must be a whole number from 1 to 86400 (got "5,x")',
+  ]);
+  assert.deepEqual(problemsOf({}, { moderation: { admins: 5 } }), [
+    "config.json moderation.admins: must be a list (got 5)",
+  ]);
+});
+
+test("hosts must be hostnames or IP addresses", () => {
+  assert.equal(load({ PUBLIC_HOSTNAME: "Chat.Example.COM" }).server.publicHostname, "chat.example.com");
+  assert.equal(load({ HOST: "::1" }).server.host, "::1");
+  assert.equal(load({ HOST: "192.168.1.10" }).server.host, "192.168.1.10");
+  assert.deepEqual(load({ BLOCKED_DOMAINS: "evil.test,localhost" }).filters.blockedDomains, ["evil.test", "localhost"]);
+
+  ["https://example.com", "exa mple.com", "-example.com", "example..com"].forEach((raw) => {
+    assert.deepEqual(problemsOf({ PUBLIC_HOSTNAME: raw }), [
+      `PUBLIC_HOSTNAME: must be a hostname or IP address (got ${JSON.stringify(raw)})`,
+    ]);
+  });
+});
+
+test("origins must be * or a scheme, host and optional port", () => {
+  const config = load({ CORS_ORIGINS: "https://example.github.io/, http://localhost:8080" });
+  assert.deepEqual(config.cors.origins, ["https://example.github.io", "http://localhost:8080"]);
+  assert.deepEqual(load({ CORS_ORIGINS: "*" }).cors.origins, ["*"]);
+
+  ["example.com", "ftp://example.com", "https://example.com/chat"].forEach((raw) => {
+    const problems = problemsOf({ CORS_ORIGINS: raw });
+    assert.equal(problems.length, 1, raw);
+    assert.match(problems[0], /^CORS_ORIGINS: ".*" must be "\*" or an origin such as https:\/\/example\.com/, raw);
+  });
+});
+
+test("MIME types are lowercased and must have a type and subtype", () => {
+  const config = load({ UPLOAD_TYPES: "image/PNG, text/plain" });
+  assert.deepEqual(config.uploads.allowedTypes, ["image/png", "text/plain"]);
+
+  ["png", "image/", "/png", "text/plain; charset=utf-8"].forEach((raw) => {
+    assert.deepEqual(problemsOf({ UPLOAD_TYPES: raw }), [
+      `UPLOAD_TYPES: ${JSON.stringify(raw)} must be a MIME type such as image/png (got ${JSON.stringify(raw)})`,
+    ]);
+  });
+});
+
+test("every problem is reported in one ConfigError", () => {
+  const file = { server: { prot: 443 }, limts: {}, logging: { format: "xml" } };
+  const env = {
+    PORT: "abc",
+    FLOOD_TYPING_PER_IP: "0/1",
+    FLOOD_MUTE_DURATIONS: "",
+    LOG_SINKS: "",
+    SESSION_SECRET: "short",
+  };
+
+  let error;
+  try {
+    load(env, file);
+  } catch (err) {
+    error = err;
+  }
+
+  assert.ok(error instanceof ConfigError);
+  assert.equal(error.name, "ConfigError");
+  assert.deepEqual(error.problems, [
+    'config.json: unknown setting "server.prot"',
+    'config.json: unknown setting "limts"',
+    'PORT: must be a whole number from 1 to 65535 (got "abc")',
+    'SESSION_SECRET: must be at least 16 characters (got "short")',
+    'config.json logging.format: must be one of: text, json (got "xml")',
+    'FLOOD_TYPING_PER_IP: must be "capacity/refillPerSecond" or { "capacity", "refillPerSecond" }, ' +
+      'with a whole capacity from 1 to 10000 and a refill above 0 and up to 1000 (got "0/1")',
+    "LOG_SINKS: must name at least one of: console, file",
+    "FLOOD_MUTE_DURATIONS: must list at least one duration",
+  ]);
+  assert.equal(
+    error.message,
+    `Invalid configuration:\n${error.problems.map((problem) => `  - ${problem}`).join("\n")}`
+  );
+});
+
+test("config file problems are reported before settings are checked", () => {
+  assert.equal(problemsOf({ CONFIG_FILE: "missing.json", PORT: "abc" }).length, 1);
+  assert.match(problemsOf({ CONFIG_FILE: "missing.json" })[0], /^CONFIG_FILE: .*missing\.json doesn't exist$/);
+  assert.match(problemsOf({}, ["not", "an", "object"])[0], /config\.json: must contain a JSON object$/);
+});
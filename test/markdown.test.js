@@ -0,0 +1,85 @@
+/**
+ * Markdown Renderer Tests
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Exact-output checks for public/markdown.js, mostly with hostile input:
+ * nothing a user types may come out as a tag or attribute it didn't ask for.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { renderMarkdown } = require("../public/markdown");
+
+const LINK_ATTRIBUTES = 'target="_blank" rel="noopener noreferrer nofollow"';
+
+test("raw HTML is escaped", () => {
+  assert.equal(renderMarkdown("<img src=x onerror=alert(1)>"), "&lt;img src=x onerror=alert(1)&gt;");
+  assert.equal(
+    renderMarkdown('<a href="#" onclick="steal()">hi</a>'),
+    "&lt;a href=&quot;#&quot; onclick=&quot;steal()&quot;&gt;hi&lt;/a&gt;"
+  );
+});
+
+test("javascript: URLs never become links", () => {
+  assert.equal(renderMarkdown("javascript:alert(1)"), "javascript:alert(1)");
+  assert.equal(renderMarkdown("[click](javascript:alert(1))"), "[click](javascript:alert(1))");
+  assert.equal(renderMarkdown("JaVaScRiPt:alert(document.cookie)"), "JaVaScRiPt:alert(document.cookie)");
+});
+
+test("quotes end a URL instead of breaking out of the href attribute", () => {
+  assert.equal(
+    renderMarkdown('https://example.com/"onmouseover="alert(1)'),
+    `<a href="https://example.com/" ${LINK_ATTRIBUTES}>https://example.com/</a>&quot;onmouseover=&quot;alert(1)`
+  );
+  assert.equal(
+    renderMarkdown("https://example.com/a'onmouseover='alert(1)"),
+    `<a href="https://example.com/a" ${LINK_ATTRIBUTES}>https://example.com/a</a>&#39;onmouseover=&#39;alert(1)`
+  );
+});
+
+test("ampersands in URLs are escaped in the href and the text", () => {
+  assert.equal(
+    renderMarkdown("https://example.com/?a=1&b=2."),
+    `<a href="https://example.com/?a=1&amp;b=2" ${LINK_ATTRIBUTES}>https://example.com/?a=1&amp;b=2</a>.`
+  );
+});
+
+test("closing tags inside code can't end the code block", () => {
+  assert.equal(
+    renderMarkdown("```\n</code><script>alert(1)</script>\n```"),
+    '<pre class="md-code"><code>&lt;/code&gt;&lt;script&gt;alert(1)&lt;/script&gt;</code></pre>'
+  );
+  assert.equal(
+    renderMarkdown('```js\nconst x = "</code></pre><script>";\n```'),
+    '<pre class="md-code"><code class="lang-js"><span class="tok-keyword">const</span> x = ' +
+      '<span class="tok-string">&quot;&lt;/code&gt;&lt;/pre&gt;&lt;script&gt;&quot;</span>;</code></pre>'
+  );
+  assert.equal(
+    renderMarkdown("`</code><script>alert(1)</script>`"),
+    "<code>&lt;/code&gt;&lt;script&gt;alert(1)&lt;/script&gt;</code>"
+  );
+});
+
+test("emphasis around escaped HTML stays escaped", () => {
+  assert.equal(renderMarkdown("**<b>bold</b>**"), "<strong>&lt;b&gt;bold&lt;/b&gt;</strong>");
+});
+
+test("misnested markers produce properly nested tags", () => {
+  assert.equal(renderMarkdown("**a ~~b** c~~"), "<strong>a ~~b</strong> c~~");
+  assert.equal(renderMarkdown("~~a **b~~ c**"), "<del>a **b</del> c**");
+  assert.equal(renderMarkdown("**a *b** c*"), "<strong>a *b</strong> c*");
+  assert.equal(renderMarkdown("*a **b* c**"), "*a <strong>b* c</strong>");
+});
+
+test("properly nested markers still render", () => {
+  assert.equal(renderMarkdown("**bold *it* bold**"), "<strong>bold <em>it</em> bold</strong>");
+  assert.equal(renderMarkdown("~~**gone**~~"), "<del><strong>gone</strong></del>");
+  assert.equal(renderMarkdown("**x**_y_"), "<strong>x</strong><em>y</em>");
+});
+
+test("markers that don't hug text and underscores inside words are left alone", () => {
+  assert.equal(renderMarkdown("a * b * c"), "a * b * c");
+  assert.equal(renderMarkdown("snake_case_name"), "snake_case_name");
+  assert.equal(renderMarkdown("¯\\_(ツ)_/¯"), "¯\\_(ツ)_/¯");
+});
@@ -0,0 +1,313 @@
+/**
+ * Webhook Tests
+ * CSC 436 - Project 5: Socket.io Implementation
+ *
+ * Outgoing deliveries go to a local HTTP server that answers with chosen status codes.
+ * The incoming endpoint is tested against a real server.js started in a temporary folder.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const childProcess = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const { ConfigError } = require("../lib/config");
+const {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  verifySignature,
+  loadWebhookConfig,
+  WebhookDispatcher,
+} = require("../lib/webhooks");
+
+const SECRET = "test-secret-0123456789";
+const MESSAGE = { id: "m1", room: "general", username: "alice", message: "hello", timestamp: "2024-01-01T00:00:00Z" };
+
+/**
+ * Starts an HTTP server that answers each request with the next status in a list
+ * @param {number[]} statuses - Status per request (the last one repeats)
+ * @returns {Promise<Object>} - { url, requests, close }
+ */
+function startReceiver(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body: body });
+      res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      res.end();
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests: requests,
+        close: () => {
+          server.closeAllConnections();
+          server.close();
+        },
+      });
+    });
+  });
+}
+
+/**
+ * Creates a dispatcher for one hook that records what it logs
+ * @param {string} url - Receiver URL
+ * @returns {{ dispatcher: WebhookDispatcher, logged: Object[], gaveUp: Promise<Object> }} - Dispatcher and its log
+ */
+function createDispatcher(url) {
+  const logged = [];
+  let onGiveUp;
+  const gaveUp = new Promise((resolve) => (onGiveUp = resolve));
+  const record = (level) => (tag, message, fields) => {
+    logged.push({ level: level, message: message, fields: fields });
+    if (message === "Giving up on a delivery") {
+      onGiveUp(fields);
+    }
+  };
+
+  const dispatcher = new WebhookDispatcher({
+    hooks: [{ url: url, secret: SECRET, rooms: [], keywords: [] }],
+    retryDelaysMs: [10, 10],
+    timeoutMs: 2000,
+    logger: { info: record("info"), warn: record("warn"), error: record("error") },
+  });
+  return { dispatcher: dispatcher, logged: logged, gaveUp: gaveUp };
+}
+
+/**
+ * Waits until a condition holds
+ * @param {Function} condition - Checked every few milliseconds
+ * @returns {Promise<void>} - Resolves once the condition is true
+ */
+async function waitFor(condition) {
+  const deadline = Date.now() + 5000;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+test("deliveries are signed so the receiver can verify them", async (t) => {
+  const receiver = await startReceiver([200]);
+  t.after(receiver.close);
+  const { dispatcher } = createDispatcher(receiver.url);
+
+  dispatcher.dispatch(MESSAGE);
+  await waitFor(() => receiver.requests.length === 1);
+
+  const { headers, body } = receiver.requests[0];
+  const timestamp = headers[TIMESTAMP_HEADER.toLowerCase()];
+  const signature = headers[SIGNATURE_HEADER.toLowerCase()];
+  assert.equal(verifySignature(SECRET, timestamp, body, signature), true);
+  assert.equal(verifySignature(SECRET, timestamp, body.replace("hello", "HELLO"), signature), false);
+  assert.equal(verifySignature("another-secret-0123456789", timestamp, body, signature), false);
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.event, "message");
+  assert.deepEqual(payload.message, MESSAGE);
+});
+
+test("5xx answers are retried until the delivery succeeds", async (t) => {
+  const receiver = await startReceiver([500, 503, 200]);
+  t.after(receiver.close);
+  const { dispatcher, logged } = createDispatcher(receiver.url);
+
+  dispatcher.dispatch(MESSAGE);
+  await waitFor(() => receiver.requests.length === 3);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  assert.equal(receiver.requests.length, 3);
+  assert.deepEqual(
+    logged.map((entry) => [entry.level, entry.fields.outcome]),
+    [
+      ["warn", "HTTP 500"],
+      ["warn", "HTTP 503"],
+    ]
+  );
+  // Each attempt is a retry of the same delivery
+  assert.equal(new Set(receiver.requests.map((request) => request.body)).size, 1);
+});
+
+test("5xx answers stop being retried once the retries run out", async (t) => {
+  const receiver = await startReceiver([500]);
+  t.after(receiver.close);
+  const { dispatcher, gaveUp } = createDispatcher(receiver.url);
+
+  dispatcher.dispatch(MESSAGE);
+  assert.deepEqual(await gaveUp, { url: receiver.url, attempts: 3, outcome: "HTTP 500" });
+  assert.equal(receiver.requests.length, 3);
+});
+
+test("4xx answers are not retried", async (t) => {
+  const receiver = await startReceiver([400, 200]);
+  t.after(receiver.close);
+  const { dispatcher, gaveUp } = createDispatcher(receiver.url);
+
+  dispatcher.dispatch(MESSAGE);
+  assert.deepEqual(await gaveUp, { url: receiver.url, attempts: 1, outcome: "HTTP 400" });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(receiver.requests.length, 1);
+});
+
+test("an invalid webhooks file is reported as a ConfigError listing every problem", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "webhooks.json");
+
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify({
+      incoming: [{ name: "CI", token: "short" }],
+      outgoing: [{ url: "ftp://example.com", secret: SECRET }, { url: "https://example.com" }],
+    })
+  );
+  assert.throws(
+    () => loadWebhookConfig(filePath),
+    (err) => {
+      assert.ok(err instanceof ConfigError);
+      assert.deepEqual(err.problems, [
+        "webhooks.json: incoming webhook 1 needs a token of at least 16 characters",
+        "webhooks.json: outgoing webhook 1 needs an http:// or https:// URL",
+        "webhooks.json: outgoing webhook 2 needs a secret of at least 16 characters",
+      ]);
+      return true;
+    }
+  );
+
+  fs.writeFileSync(filePath, "{ not json");
+  assert.throws(() => loadWebhookConfig(filePath), /webhooks\.json: isn't valid JSON/);
+});
+
+/**
+ * Finds a free local port
+ * @returns {Promise<number>} - Port number
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const port = probe.address().port;
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Starts server.js and waits until it is listening
+ * @param {Object} env - Extra environment variables
+ * @returns {Promise<ChildProcess>} - The server process
+ */
+function startServer(env) {
+  const child = childProcess.spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+    env: { ...process.env, ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = "";
+    const onOutput = (chunk) => {
+      output += chunk;
+      if (output.includes("Real-time Chat Server is running")) {
+        resolve(child);
+      }
+    };
+    child.stdout.on("data", onOutput);
+    child.stderr.on("data", onOutput);
+    child.once("exit", (code) => reject(new Error(`server.js exited with code ${code}:\n${output}`)));
+  });
+}
+
+/**
+ * Posts to the incoming webhook endpoint
+ * @param {number} port - Server port
+ * @param {string} token - Bearer token
+ * @param {Object} body - JSON body
+ * @returns {Promise<{ status: number, body: Object }>} - Response
+ */
+function postIncoming(port, token, body) {
+  return new Promise((resolve, reject) => {
+    const req = https.request(
+      {
+        host: "127.0.0.1",
+        port: port,
+        path: "/webhooks/incoming",
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        // The test server uses a freshly generated self-signed certificate
+        rejectUnauthorized: false,
+      },
+      (res) => {
+        let text = "";
+        res.on("data", (chunk) => (text += chunk));
+        res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+      }
+    );
+    req.on("error", reject);
+    req.end(JSON.stringify(body));
+  });
+}
+
+test("incoming webhook endpoint", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-test-"));
+  const tokens = { ci: "ci-token-0123456789", announcer: "announcer-token-0123456789" };
+  fs.writeFileSync(path.join(dir, "config.json"), "{}");
+  fs.writeFileSync(
+    path.join(dir, "webhooks.json"),
+    JSON.stringify({
+      incoming: [
+        { name: "CI", token: tokens.ci, rooms: ["builds"] },
+        { name: "Announcer", token: tokens.announcer, rooms: ["general"] },
+      ],
+    })
+  );
+
+  const port = await getFreePort();
+  const server = await startServer({
+    PORT: String(port),
+    HOST: "127.0.0.1",
+    CONFIG_FILE: path.join(dir, "config.json"),
+    DATA_DIR: path.join(dir, "data"),
+    WEBHOOKS_FILE: path.join(dir, "webhooks.json"),
+    TLS_CERT_FILE: path.join(dir, "cert.pem"),
+    TLS_KEY_FILE: path.join(dir, "key.pem"),
+    LOG_SINKS: "console",
+  });
+  t.after(async () => {
+    if (server.exitCode === null) {
+      const exited = new Promise((resolve) => server.once("exit", resolve));
+      server.kill();
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  await t.test("rejects unknown tokens", async () => {
+    const response = await postIncoming(port, "not-a-real-token-0123456789", { room: "general", message: "hi" });
+    assert.deepEqual(response, { status: 401, body: { error: "Unknown webhook token." } });
+  });
+
+  await t.test("refuses rooms outside the hook's list", async () => {
+    const response = await postIncoming(port, tokens.ci, { room: "general", message: "Build #12 passed" });
+    assert.deepEqual(response, { status: 403, body: { error: "This webhook can't post to #general." } });
+  });
+
+  await t.test("posts to rooms in the hook's list", async () => {
+    const response = await postIncoming(port, tokens.announcer, { room: "general", message: "Maintenance at 6" });
+    assert.equal(response.status, 201);
+    assert.equal(typeof response.body.id, "string");
+    assert.equal(typeof response.body.timestamp, "string");
+  });
+});